@@ -5,14 +5,140 @@ const bodyParser = require("body-parser");
 const dotenv = require("dotenv");
 const jwt = require("jsonwebtoken");
 const bcrypt = require("bcrypt");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const nodemailer = require("nodemailer");
 
 dotenv.config();
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Token lifetimes
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const INVITATION_TTL_HOURS = Number(process.env.INVITATION_TTL_HOURS) || 72;
+const PASSWORD_RESET_TTL_MINUTES =
+  Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+const EMAIL_VERIFICATION_TTL_HOURS =
+  Number(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24;
+const APP_URL = process.env.APP_URL || `http://localhost:${PORT}`;
+
+// Lockout policy shared by login and password change. After LOCKOUT_THRESHOLD
+// consecutive failures the account is locked; each further lockout doubles the
+// duration up to LOCKOUT_MAX_MINUTES. The backoff resets after a successful
+// attempt or after LOCKOUT_RESET_HOURS without failures.
+const LOCKOUT_THRESHOLD = Number(process.env.LOCKOUT_THRESHOLD) || 5;
+const LOCKOUT_BASE_MINUTES = Number(process.env.LOCKOUT_BASE_MINUTES) || 5;
+const LOCKOUT_MAX_MINUTES = Number(process.env.LOCKOUT_MAX_MINUTES) || 24 * 60;
+const LOCKOUT_RESET_HOURS = Number(process.env.LOCKOUT_RESET_HOURS) || 24;
+
+// Roles open to self-registration; the rest need an invitation code
+const OPEN_ROLES = ["USER", "ARTIST"];
+const INVITED_ROLES = ["ADMIN", "ORGANIZER", "STAFF"];
+
+// Two-factor authentication (TOTP, RFC 6238)
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_ISSUER = process.env.TOTP_ISSUER || "Festival Manager";
+const TWO_FACTOR_CHALLENGE_TTL = "5m";
+const RECOVERY_CODE_COUNT = 10;
+// Key used to encrypt TOTP secrets at rest
+const TWO_FACTOR_KEY = crypto
+  .createHash("sha256")
+  .update(process.env.TWO_FACTOR_SECRET || process.env.JWT_SECRET || "")
+  .digest();
+
+// Phase deadlines: when the deadline of the current phase passes, the
+// scheduler runs the transition out of that phase
+const DEADLINE_PHASES = [
+  "CREATED",
+  "SUBMISSION",
+  "ASSIGNMENT",
+  "REVIEW",
+  "SCHEDULING",
+  "FINAL_SUBMISSION",
+  "DECISION",
+];
+const DEADLINE_WARNING_HOURS = Number(process.env.DEADLINE_WARNING_HOURS) || 24;
+const SCHEDULER_INTERVAL_MS = Number(process.env.SCHEDULER_INTERVAL_MS) || 60 * 1000;
+
+// Reviews: a reviewer whose score is this far from the median of the other
+// reviews of a performance is flagged for discussion (per-festival default)
+const REVIEW_DISAGREEMENT_THRESHOLD =
+  Number(process.env.REVIEW_DISAGREEMENT_THRESHOLD) || 3;
+// Review scores run from 0 to this
+const REVIEW_SCORE_MAX = 10;
+
+// Scopes that can be granted to service-account API keys
+const API_KEY_SCOPES = ["festivals:read", "performances:read", "performances:export"];
+const API_KEY_TTL_DAYS = Number(process.env.API_KEY_TTL_DAYS) || 90;
+
+// Roles a user can hold within a single festival
+const FESTIVAL_ROLES = ["ORGANIZER", "STAFF", "ARTIST"];
+
 // Middleware
 app.use(bodyParser.json());
 
+// Mail Transports
+// Every transport exposes send({ to, subject, text }). SMTP is the default;
+// "file" and "console" write tokens in clear text, so they are only used when
+// MAIL_TRANSPORT asks for them (or under NODE_ENV=test) for offline work.
+const createSmtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined,
+  });
+  return {
+    send: (message) =>
+      transporter.sendMail({ from: process.env.MAIL_FROM, ...message }),
+  };
+};
+
+// Writes each message as a JSON file into MAIL_DIR
+const createFileTransport = (dir = process.env.MAIL_DIR || "mail") => ({
+  send: async (message) => {
+    await fs.promises.mkdir(dir, { recursive: true });
+    const file = path.join(
+      dir,
+      `${Date.now()}-${crypto.randomBytes(4).toString("hex")}.json`
+    );
+    await fs.promises.writeFile(
+      file,
+      JSON.stringify({ ...message, sentAt: new Date() }, null, 2)
+    );
+  },
+});
+
+const createConsoleTransport = () => ({
+  send: async (message) => {
+    console.log(`Mail to ${message.to}: ${message.subject}\n${message.text}`);
+  },
+});
+
+const createMailTransport = (
+  type = process.env.MAIL_TRANSPORT ||
+    (process.env.NODE_ENV === "test" ? "console" : "smtp")
+) => {
+  switch (type) {
+    case "file":
+      return createFileTransport();
+    case "console":
+      return createConsoleTransport();
+    default:
+      return createSmtpTransport();
+  }
+};
+
+// Stored on app.locals so tests can swap in their own transport
+app.locals.mailTransport = createMailTransport();
+
+const sendMail = (message) => app.locals.mailTransport.send(message);
+
 // Database Connection
 mongoose
   .connect(process.env.MONGO_URI)
@@ -23,6 +149,15 @@ mongoose
 const UserSchema = new mongoose.Schema({
   username: { type: String, unique: true, required: true },
   password: { type: String, required: true },
+  email: {
+    type: String,
+    unique: true,
+    sparse: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, "Invalid email address."],
+  },
+  emailVerified: { type: Boolean, default: false },
   role: {
     type: String,
     enum: ["USER", "ADMIN", "ARTIST", "STAFF", "ORGANIZER"],
@@ -33,8 +168,35 @@ const UserSchema = new mongoose.Schema({
     enum: ["ACTIVE", "INACTIVE"],
     default: "ACTIVE",
   },
+  failedPasswordAttempts: { type: Number, default: 0 },
+  lastFailedAttemptAt: Date,
+  lockoutCount: { type: Number, default: 0 },
+  lockedUntil: Date,
+  createdAt: { type: Date, default: Date.now },
+  deletedAt: Date,
+  // Service accounts cannot log in and only authenticate with API keys
+  isServiceAccount: { type: Boolean, default: false },
+  description: String,
+  // Genres a staff member is qualified to review; preferred by auto-assignment.
+  // Staff set their own through PUT /users/:id.
+  genreExpertise: {
+    type: [{ type: String, trim: true, minlength: 1, maxlength: 50 }],
+    validate: [(genres) => genres.length <= 10, "At most 10 genres of expertise are allowed."],
+  },
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: String, // encrypted
+    pendingSecret: String, // encrypted, until enrolment is confirmed
+    recoveryCodes: [String], // hashes
+    lastUsedStep: Number,
+    enabledAt: Date,
+  },
 });
 
+// Fields never returned by user endpoints
+const PRIVATE_USER_FIELDS =
+  "-password -twoFactor.secret -twoFactor.pendingSecret -twoFactor.recoveryCodes -twoFactor.lastUsedStep";
+
 UserSchema.pre("save", async function (next) {
   if (this.isModified("password")) {
     this.password = await bcrypt.hash(this.password, 10);
@@ -44,12 +206,91 @@ UserSchema.pre("save", async function (next) {
 
 const User = mongoose.model("User", UserSchema);
 
+// Stages of a festival's venue. Opening hours are given per festival day;
+// a closing time earlier than the opening time means past midnight.
+const StageSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  capacity: { type: Number, min: 0 },
+  changeoverMinutes: { type: Number, min: 0, default: 15 },
+  openingHours: [
+    {
+      _id: false,
+      date: {
+        type: String,
+        required: true,
+        match: [/^\d{4}-\d{2}-\d{2}$/, "Opening hour dates must be YYYY-MM-DD."],
+      },
+      opens: {
+        type: String,
+        required: true,
+        match: [/^([01]\d|2[0-3]):[0-5]\d$/, "Times must be HH:MM."],
+      },
+      closes: {
+        type: String,
+        required: true,
+        match: [/^([01]\d|2[0-3]):[0-5]\d$/, "Times must be HH:MM."],
+      },
+    },
+  ],
+  // Free-form technical specs, e.g. { pa: "...", backline: "...", power: "..." }
+  technicalSpecs: { type: Map, of: String },
+});
+
 const FestivalSchema = new mongoose.Schema({
   name: { type: String, unique: true, required: true },
   description: String,
   dates: { start: Date, end: Date },
   venue: String,
+  stages: [StageSchema],
   organizers: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+  // Organizers of this festival must use two-factor authentication
+  requireTwoFactor: { type: Boolean, default: false },
+  stateHistory: [
+    {
+      _id: false,
+      from: String,
+      to: String,
+      action: String,
+      by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      automatic: { type: Boolean, default: false },
+      reason: String, // required for rollbacks
+      // Set until the side effects of the transition have all run
+      effectsPending: Boolean,
+      at: { type: Date, default: Date.now },
+    },
+  ],
+  // End of each phase; the scheduler advances the festival when it passes
+  deadlines: Object.fromEntries(DEADLINE_PHASES.map((phase) => [phase, Date])),
+  deadlineWarningHours: { type: Number, default: DEADLINE_WARNING_HOURS, min: 0 },
+  // Submitted reviews a performance needs before it counts as REVIEWED
+  requiredReviews: { type: Number, default: 1, min: 1 },
+  reviewDisagreementThreshold: {
+    type: Number,
+    default: REVIEW_DISAGREEMENT_THRESHOLD,
+    min: 0,
+  },
+  // Unset limits do not apply; durations are in minutes
+  submissionLimits: {
+    maxSubmissions: { type: Number, min: 1 },
+    maxPerCreator: { type: Number, min: 1 },
+    genreCaps: { type: Map, of: { type: Number, min: 0 } },
+    minDuration: { type: Number, min: 0 },
+    maxDuration: { type: Number, min: 0 },
+  },
+  // Held while a performance is checked against the quotas and saved, so
+  // concurrent submissions cannot both take the last place
+  quotaLeaseToken: { type: mongoose.Schema.Types.ObjectId, select: false },
+  quotaLeaseUntil: { type: Date, select: false },
+  // Keys of deadline events already fired, e.g. "warning:REVIEW:<deadline>"
+  deadlineEventsSent: [String],
+  // Editions of the same festival share a series (the _id of the first edition)
+  series: { type: mongoose.Schema.Types.ObjectId, ref: "Festival" },
+  edition: { type: Number, default: 1 },
+  previousEdition: { type: mongoose.Schema.Types.ObjectId, ref: "Festival" },
+  // Archived festivals and their performances are read-only and unlisted
+  archivedAt: Date,
+  archivedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  createdAt: { type: Date, default: Date.now },
   state: {
     type: String,
     enum: [
@@ -78,7 +319,25 @@ const PerformanceSchema = new mongoose.Schema({
   description: String,
   genre: String,
   duration: Number,
-  bandMembers: [String],
+  // Members are invited by the creator and take part once they accept
+  bandMembers: [
+    {
+      _id: false,
+      user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+      status: {
+        type: String,
+        enum: ["INVITED", "ACCEPTED", "DECLINED", "LEFT"],
+        default: "INVITED",
+      },
+      invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      invitedAt: { type: Date, default: Date.now },
+      respondedAt: Date,
+    },
+  ],
+  // _id of one of the festival's stages
+  stage: { type: mongoose.Schema.Types.ObjectId },
+  // Time slot given when the performance is scheduled
+  scheduledSlot: { start: Date, end: Date },
   creator: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "User",
@@ -97,11 +356,22 @@ const PerformanceSchema = new mongoose.Schema({
     ],
     default: "CREATED",
   },
-  staffAssigned: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
-  review: {
-    score: Number,
-    comments: String,
-  },
+  rejectionReason: String,
+  // Follow-up markers, e.g. CREATOR_DELETED, STAFF_REMOVED or REVIEW_DISAGREEMENT
+  flags: [String],
+  // Every state change, with the festival phase it happened in
+  stateChanges: [
+    {
+      _id: false,
+      from: String,
+      to: String,
+      phase: String,
+      by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      automatic: { type: Boolean, default: false },
+      rollback: { type: Boolean, default: false },
+      at: { type: Date, default: Date.now },
+    },
+  ],
   setlist: [String], // Προστέθηκε για τη λίστα τραγουδιών
   preferredRehearsalSlots: [String], // Προστέθηκε για τις ώρες πρόβας
   preferredPerformanceSlots: [String], // Προστέθηκε για τις ώρες εμφάνισης
@@ -110,9 +380,240 @@ const PerformanceSchema = new mongoose.Schema({
 
 const Performance = mongoose.model("Performance", PerformanceSchema);
 
+// Versioned snapshots of a performance's content, one per create, update,
+// submit, review and final submission
+const PerformanceRevisionSchema = new mongoose.Schema({
+  performance: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Performance",
+    required: true,
+  },
+  version: { type: Number, required: true },
+  action: {
+    type: String,
+    enum: ["CREATE", "UPDATE", "SUBMIT", "REVIEW", "FINAL_SUBMIT"],
+    required: true,
+  },
+  state: String, // performance state after the action
+  snapshot: Object,
+  // Score and comments of a REVIEW revision
+  review: { score: Number, comments: String },
+  by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  at: { type: Date, default: Date.now },
+});
+PerformanceRevisionSchema.index({ performance: 1, version: 1 }, { unique: true });
+
+const PerformanceRevision = mongoose.model(
+  "PerformanceRevision",
+  PerformanceRevisionSchema
+);
+
+// One reviewer's review of a performance. Assigning a reviewer creates it in
+// ASSIGNED status; it becomes SUBMITTED when the reviewer scores it.
+const ReviewSchema = new mongoose.Schema({
+  performance: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Performance",
+    required: true,
+  },
+  festival: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Festival",
+    required: true,
+  },
+  reviewer: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  status: { type: String, enum: ["ASSIGNED", "SUBMITTED"], default: "ASSIGNED" },
+  score: { type: Number, min: 0, max: REVIEW_SCORE_MAX },
+  comments: String,
+  // Score far from the other reviewers' median
+  flaggedForDiscussion: { type: Boolean, default: false },
+  assignedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  assignedAt: { type: Date, default: Date.now },
+  submittedAt: Date,
+});
+ReviewSchema.index({ performance: 1, reviewer: 1 }, { unique: true });
+
+const Review = mongoose.model("Review", ReviewSchema);
+
+// Festival-scoped roles. A user can be organizer of one festival, staff on
+// another and artist on a third; the global User.role only decides what an
+// account may do outside any festival (e.g. ADMIN, or creating festivals).
+const MembershipSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  festival: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Festival",
+    required: true,
+  },
+  role: { type: String, enum: FESTIVAL_ROLES, required: true },
+  grantedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  createdAt: { type: Date, default: Date.now },
+});
+
+MembershipSchema.index({ user: 1, festival: 1, role: 1 }, { unique: true });
+MembershipSchema.index({ festival: 1, role: 1 });
+
+const Membership = mongoose.model("Membership", MembershipSchema);
+
+// Invitations of existing users to co-organize a festival
+const OrganizerInvitationSchema = new mongoose.Schema({
+  festival: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Festival",
+    required: true,
+  },
+  invitee: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  status: {
+    type: String,
+    enum: ["PENDING", "ACCEPTED", "DECLINED", "CANCELLED"],
+    default: "PENDING",
+  },
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  respondedAt: Date,
+});
+
+OrganizerInvitationSchema.index({ invitee: 1, status: 1 });
+
+const OrganizerInvitation = mongoose.model(
+  "OrganizerInvitation",
+  OrganizerInvitationSchema
+);
+
+// Public artist profiles, one per user account
+const ArtistProfileSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    unique: true,
+    required: true,
+  },
+  displayName: { type: String, trim: true, maxlength: 100 },
+  bio: { type: String, maxlength: 2000 },
+  homeCity: { type: String, trim: true, maxlength: 100 },
+  genres: {
+    type: [{ type: String, trim: true, maxlength: 50 }],
+    validate: [(genres) => genres.length <= 10, "At most 10 genres are allowed."],
+  },
+  links: [
+    {
+      _id: false,
+      label: { type: String, trim: true, maxlength: 50 },
+      url: {
+        type: String,
+        required: true,
+        match: [/^https?:\/\/\S+$/i, "Links must be http(s) URLs."],
+      },
+    },
+  ],
+  photoUrl: {
+    type: String,
+    match: [/^https?:\/\/\S+$/i, "Photo URL must be an http(s) URL."],
+  },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+ArtistProfileSchema.index({ displayName: 1 });
+
+const ArtistProfile = mongoose.model("ArtistProfile", ArtistProfileSchema);
+
+// Login sessions. Each session holds the hash of its current refresh token,
+// which is rotated on every refresh. Access tokens carry the session id (sid),
+// so revoking a session invalidates its access tokens immediately.
+const SessionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  refreshTokenHash: { type: String, required: true },
+  previousTokenHashes: [String],
+  userAgent: String,
+  ip: String,
+  createdAt: { type: Date, default: Date.now },
+  lastUsedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  revokedAt: Date,
+  revokedReason: String,
+});
+
+SessionSchema.index({ user: 1, revokedAt: 1 });
+
+// Rotated-out refresh token hashes kept per session for reuse detection
+const MAX_PREVIOUS_TOKEN_HASHES = 20;
+
+const Session = mongoose.model("Session", SessionSchema);
+
+// Single-use invitation codes for privileged roles. Only the hash of the code
+// is stored; the plain code is returned once, when it is issued.
+const InvitationSchema = new mongoose.Schema({
+  codeHash: { type: String, unique: true, required: true },
+  role: { type: String, enum: INVITED_ROLES, required: true },
+  festival: { type: mongoose.Schema.Types.ObjectId, ref: "Festival" },
+  issuedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  usedAt: Date,
+  usedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  revokedAt: Date,
+});
+
+const Invitation = mongoose.model("Invitation", InvitationSchema);
+
+// One-time tokens sent by mail (email verification and password reset).
+// Only the hash is stored.
+const UserTokenSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  purpose: {
+    type: String,
+    enum: ["EMAIL_VERIFICATION", "PASSWORD_RESET"],
+    required: true,
+  },
+  tokenHash: { type: String, unique: true, required: true },
+  email: String,
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  usedAt: Date,
+});
+
+const UserToken = mongoose.model("UserToken", UserTokenSchema);
+
+// API keys of service accounts. Keys look like "fk_<prefix>_<secret>"; the
+// prefix identifies a key in listings, only the hash of the full key is stored.
+const ApiKeySchema = new mongoose.Schema({
+  serviceAccount: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  name: { type: String, required: true },
+  prefix: { type: String, required: true },
+  keyHash: { type: String, unique: true, required: true },
+  scopes: [{ type: String, enum: API_KEY_SCOPES }],
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  lastUsedAt: Date,
+  revokedAt: Date,
+});
+
+const ApiKey = mongoose.model("ApiKey", ApiKeySchema);
+
+// System-wide settings, stored as a single document
+const SystemSettingsSchema = new mongoose.Schema({
+  key: { type: String, unique: true, default: "system" },
+  // Roles that must use two-factor authentication
+  requireTwoFactorRoles: [{ type: String, enum: ["ADMIN", "ORGANIZER"] }],
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  updatedAt: Date,
+});
+
+const SystemSettings = mongoose.model("SystemSettings", SystemSettingsSchema);
+
 // Authentication Middleware
 // Authentication Middleware with Advanced Token Validation
+// Accepts either a JWT (Authorization: Bearer) or an X-API-Key header. API keys
+// only work on routes that declare a scope with allowApiKey().
 const authenticate = async (req, res, next) => {
+  if (req.headers["x-api-key"]) return authenticateApiKey(req, res, next);
+
   const token = req.headers.authorization?.split(" ")[1];
   if (!token) return res.status(401).send("Access denied. No token provided.");
 
@@ -126,6 +627,11 @@ const authenticate = async (req, res, next) => {
       return res.status(403).send("Invalid token. User not found.");
     }
 
+    // Check that the session behind the token is still alive
+    if (!(await isSessionActive(decoded))) {
+      return res.status(401).send("Session has been revoked. Please login again.");
+    }
+
     // Check if the account is active
     if (user.accountStatus === "INACTIVE") {
       return res
@@ -146,6 +652,7 @@ const authenticate = async (req, res, next) => {
 
     // Attach user data to request object
     req.user = decoded;
+    req.user.twoFactorEnabled = Boolean(user.twoFactor?.enabled);
     next();
   } catch (err) {
     if (err.name === "TokenExpiredError") {
@@ -156,671 +663,4283 @@ const authenticate = async (req, res, next) => {
   }
 };
 
-// Helper function for role-based access
-const authorize = (roles) => (req, res, next) => {
-  if (!roles.includes(req.user.role)) {
-    return res.status(403).send("Access denied.");
-  }
+// Mark a route as callable with an API key holding the given scope.
+// Must be placed before authenticate.
+const allowApiKey = (scope) => (req, res, next) => {
+  req.apiKeyScope = scope;
   next();
 };
 
-// Routes
-// User Registration with Password and Username Validation and Double Input Check
-app.post("/users/register", async (req, res) => {
-  try {
-    const { username, password, confirmPassword, role } = req.body;
+// Look up an API key and its service account; returns null if either is unusable
+const findUsableApiKey = async (rawKey) => {
+  const apiKey = await ApiKey.findOne({
+    keyHash: hashToken(rawKey),
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+  if (!apiKey) return null;
+
+  const serviceAccount = await User.findById(apiKey.serviceAccount);
+  if (
+    !serviceAccount ||
+    serviceAccount.deletedAt ||
+    serviceAccount.accountStatus === "INACTIVE"
+  ) {
+    return null;
+  }
+  return { apiKey, serviceAccount };
+};
 
-    /*
-    // Username validation
-    const usernameRegex = /^[a-zA-Z][a-zA-Z0-9_]{4,}$/;
-    if (!usernameRegex.test(username)) {
-      return res
-        .status(400)
-        .send(
-          "Username must start with a letter and be at least 5 characters long, containing only letters, numbers, or underscores."
-        );
+const authenticateApiKey = async (req, res, next) => {
+  try {
+    const found = await findUsableApiKey(req.headers["x-api-key"]);
+    if (!found) {
+      return res.status(401).send("Invalid, expired or revoked API key.");
     }
 
-    // Password validation
-    const passwordRegex = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[\W_]).{8,}$/;
-    if (!passwordRegex.test(password)) {
-      return res
-        .status(400)
-        .send(
-          "Password must be at least 8 characters long, include at least one uppercase letter, one lowercase letter, one digit, and one special character."
-        );
+    const { apiKey, serviceAccount } = found;
+    if (!req.apiKeyScope) {
+      return res.status(403).send("API keys cannot be used for this endpoint.");
     }
-
-    // Confirm password check
-    if (password !== confirmPassword) {
-      return res.status(400).send("Passwords do not match.");
+    if (!apiKey.scopes.includes(req.apiKeyScope)) {
+      return res
+        .status(403)
+        .send(`API key is missing the required scope '${req.apiKeyScope}'.`);
     }
-  */
 
-    // Check if username already exists
-    const existingUser = await User.findOne({ username });
-    if (existingUser) {
-      return res.status(400).send("Username is already taken.");
-    }
-  
+    await ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date() });
 
-    // Create and save new user
-    const user = new User({ username, password, role });
-    await user.save();
-    res.status(201).send("User registered successfully.");
+    req.apiKey = apiKey;
+    req.user = {
+      _id: serviceAccount._id.toString(),
+      role: serviceAccount.role,
+      scopes: apiKey.scopes,
+    };
+    next();
   } catch (error) {
-    res.status(400).send(error.message || "An error occurred during registration.");
+    res.status(500).send(error.message);
   }
-});
+};
 
+// Identify the caller of a route that also serves anonymous requests. Returns
+// the active user behind the token or API key, null for anonymous callers or
+// unreadable tokens, and false for credentials that are no longer valid.
+const identifyOptionalUser = async (req) => {
+  const rawKey = req.headers["x-api-key"];
+  if (rawKey) {
+    const found = await findUsableApiKey(rawKey);
+    if (!found || !found.apiKey.scopes.includes(req.apiKeyScope)) return false;
+    await ApiKey.updateOne({ _id: found.apiKey._id }, { lastUsedAt: new Date() });
+    return found.serviceAccount;
+  }
 
-// Update User Information
-app.put("/users/:id", authenticate, async (req, res) => {
+  const token = req.headers.authorization?.split(" ")[1];
+  if (!token) return null;
+
+  let decoded;
   try {
-    const { id } = req.params;
-    const updates = req.body;
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
 
-    // Find user by ID
-    const user = await User.findById(id);
-    if (!user) return res.status(404).send("User not found.");
+  const user = await User.findById(decoded._id);
+  if (
+    !user ||
+    user.accountStatus === "INACTIVE" ||
+    !(await isSessionActive(decoded))
+  ) {
+    return false;
+  }
+  return user;
+};
 
-    // Check if the authenticated user is the owner or an admin
-    if (req.user._id !== id && req.user.role !== "ADMIN") {
-      return res.status(403).send("Access denied.");
+// Festival resolvers for scoped authorization
+const festivalFromParams = async (req) => req.params.id;
+const festivalFromPerformance = async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) return null;
+  const performance = await Performance.findById(req.params.id).select("festival");
+  return performance?.festival;
+};
+
+// Helper function for role-based access. Without a festival resolver the
+// global role is checked. With one, the caller needs one of the roles as a
+// membership of the festival the route touches; a global ADMIN passes if
+// "ADMIN" is listed. The caller's festival roles end up in req.festivalRoles.
+// Festival-scoped routes that change data are refused for archived festivals
+// unless allowArchived is set.
+const authorize = (roles, resolveFestival, { allowArchived = false } = {}) => async (
+  req,
+  res,
+  next
+) => {
+  try {
+    req.festivalRoles = [];
+
+    if (!resolveFestival) {
+      if (!roles.includes(req.user.role)) {
+        return res.status(403).send("Access denied.");
+      }
+      if (await isTwoFactorMissing(req, [req.user.role])) {
+        return sendTwoFactorRequired(res);
+      }
+      return next();
     }
 
-    // Prevent updating password
-    if (updates.password) {
-      return res
-        .status(400)
-        .send("Password cannot be updated using this endpoint.");
+    const festivalId = await resolveFestival(req);
+    // Let the route answer with its own 404
+    if (!festivalId || !mongoose.Types.ObjectId.isValid(festivalId)) {
+      return next();
     }
 
-    // Check if username is being changed
-    const isUsernameChanged = updates.username && updates.username !== user.username;
+    req.festivalRoles = await getFestivalRoles(req.user._id, festivalId);
 
-    // Update user details
-    Object.assign(user, updates);
-    await user.save();
+    const readOnly = ["GET", "HEAD"].includes(req.method);
+    const refuseArchived = async () =>
+      !readOnly && !allowArchived && (await isFestivalArchived(festivalId));
 
-    // Invalidate token if username changes
-    if (isUsernameChanged) {
-      return res
-        .status(200)
-        .send("Username updated. Please log in again with the new username.");
+    // API keys are authorized by their scope, checked in authenticate
+    if (req.apiKey) {
+      if (await refuseArchived()) return sendFestivalArchived(res);
+      return next();
     }
 
-    res.status(200).send("User information updated successfully.");
-  } catch (error) {
-    res.status(400).send(error.message);
-  }
-});
-
-
-// Change User Password
-app.post("/users/change-password", authenticate, async (req, res) => {
-  try {
-    const { oldPassword, newPassword, confirmPassword } = req.body;
+    const matchedRoles = req.festivalRoles.filter((role) => roles.includes(role));
+    if (roles.includes("ADMIN") && req.user.role === "ADMIN") {
+      matchedRoles.push("ADMIN");
+    }
 
-    // Validate inputs
-    if (!oldPassword || !newPassword || !confirmPassword) {
+    if (matchedRoles.length === 0) {
       return res
-        .status(400)
-        .send("Old password, new password, and confirmation are required.");
+        .status(403)
+        .send("Access denied. You do not have the required role for this festival.");
     }
-
-    if (newPassword !== confirmPassword) {
-      return res.status(400).send("Passwords do not match.");
+    if (await isTwoFactorMissing(req, matchedRoles, festivalId)) {
+      return sendTwoFactorRequired(res);
     }
+    if (await refuseArchived()) return sendFestivalArchived(res);
+    next();
+  } catch (error) {
+    res.status(500).send(error.message);
+  }
+};
 
-    // Find the user
-    const user = await User.findById(req.user._id);
-    if (!user) return res.status(404).send("User not found.");
-
-    // Check old password
-    const isMatch = await bcrypt.compare(oldPassword, user.password);
-    if (!isMatch) {
-      // Track failed attempts
-      user.failedPasswordAttempts = (user.failedPasswordAttempts || 0) + 1;
-      await user.save();
+const isFestivalArchived = async (festivalId) =>
+  Boolean(await Festival.exists({ _id: festivalId, archivedAt: { $ne: null } }));
 
-      // Deactivate account after 3 failed attempts
-      if (user.failedPasswordAttempts >= 3) {
-        user.accountStatus = "INACTIVE";
-        await user.save();
-        return res
-          .status(403)
-          .send("Account deactivated due to multiple failed attempts.");
-      }
+const sendFestivalArchived = (res) =>
+  res.status(409).send("Festival is archived and read-only.");
 
-      return res.status(400).send("Old password is incorrect.");
-    }
+// Two-factor policy helpers
+const getSystemSettings = async () =>
+  (await SystemSettings.findOne({ key: "system" })) ||
+  new SystemSettings({ requireTwoFactorRoles: [] });
 
-    // Reset failed attempts
-    user.failedPasswordAttempts = 0;
+// True if one of the roles the caller acts with requires 2FA they have not set up
+const isTwoFactorMissing = async (req, actingRoles, festivalId) => {
+  if (req.apiKey || req.user.twoFactorEnabled) return false;
 
-    // Update password
-    user.password = newPassword;
-    await user.save();
+  const settings = await getSystemSettings();
+  if (actingRoles.some((role) => settings.requireTwoFactorRoles.includes(role))) {
+    return true;
+  }
 
-    res
-      .status(200)
-      .send("Password updated successfully. Please log in again.");
-  } catch (error) {
-    res.status(500).send(error.message);
+  if (festivalId && actingRoles.includes("ORGANIZER")) {
+    const festival = await Festival.findById(festivalId).select("requireTwoFactor");
+    return Boolean(festival?.requireTwoFactor);
   }
-});
+  return false;
+};
 
+const sendTwoFactorRequired = (res) =>
+  res
+    .status(403)
+    .send(
+      "Two-factor authentication is required for this role. Enable it via /users/2fa/enroll."
+    );
 
+// Membership helpers
+const getFestivalRoles = async (userId, festivalId) => {
+  const memberships = await Membership.find({ user: userId, festival: festivalId });
+  return memberships.map((membership) => membership.role);
+};
 
+const hasFestivalRole = async (userId, festivalId, role) =>
+  Boolean(await Membership.exists({ user: userId, festival: festivalId, role }));
+
+// Grant a festival role; organizers are mirrored in Festival.organizers
+const grantMembership = async (userId, festivalId, role, grantedBy) => {
+  const membership = await Membership.findOneAndUpdate(
+    { user: userId, festival: festivalId, role },
+    { $setOnInsert: { grantedBy } },
+    { upsert: true, new: true }
+  );
+  if (role === "ORGANIZER") {
+    await Festival.findByIdAndUpdate(festivalId, {
+      $addToSet: { organizers: userId },
+    });
+  }
+  return membership;
+};
 
-/* User Login Old
-app.post("/users/login", async (req, res) => {
-  try {
-    const { username, password } = req.body;
-    const user = await User.findOne({ username });
-    if (!user || !(await bcrypt.compare(password, user.password))) {
-      return res.status(400).send("Invalid username or password.");
+const revokeMembership = async (membership) => {
+  await membership.deleteOne();
+  if (membership.role === "ORGANIZER") {
+    await Festival.findByIdAndUpdate(membership.festival, {
+      $pull: { organizers: membership.user },
+    });
+  }
+};
+
+// Session helpers
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Refresh tokens have the form "<sessionId>.<secret>"
+const generateRefreshToken = (sessionId) =>
+  `${sessionId}.${crypto.randomBytes(48).toString("hex")}`;
+
+const signAccessToken = (user, session) =>
+  jwt.sign(
+    { _id: user._id, role: user.role, sid: session._id },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+
+// Create a new session for the user and return its token pair
+const createSession = async (user, req) => {
+  const session = new Session({
+    user: user._id,
+    refreshTokenHash: "pending",
+    userAgent: req.headers["user-agent"],
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+  });
+  const refreshToken = generateRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return {
+    token: signAccessToken(user, session),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL,
+  };
+};
+
+const isSessionActive = async (decoded) => {
+  if (!decoded.sid) return false;
+  const session = await Session.findById(decoded.sid);
+  return Boolean(
+    session &&
+      !session.revokedAt &&
+      session.expiresAt > new Date() &&
+      session.user.toString() === decoded._id
+  );
+};
+
+// Issue a one-time mail token, discarding any unused one with the same purpose
+const issueUserToken = async (user, purpose, ttlMs) => {
+  await UserToken.deleteMany({ user: user._id, purpose, usedAt: null });
+  const token = crypto.randomBytes(32).toString("hex");
+  await new UserToken({
+    user: user._id,
+    purpose,
+    tokenHash: hashToken(token),
+    email: user.email,
+    expiresAt: new Date(Date.now() + ttlMs),
+  }).save();
+  return token;
+};
+
+// Find and consume a one-time mail token; returns null if it is not valid
+const consumeUserToken = (token, purpose) =>
+  UserToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
+
+const sendVerificationEmail = async (user) => {
+  const token = await issueUserToken(
+    user,
+    "EMAIL_VERIFICATION",
+    EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000
+  );
+  await sendMail({
+    to: user.email,
+    subject: "Verify your email address",
+    text:
+      `Hello ${user.username},\n\n` +
+      `Confirm your email address by opening the link below:\n` +
+      `${APP_URL}/verify-email?token=${token}\n\n` +
+      `The link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.`,
+  });
+};
+
+// Lockout helpers
+// Compared against when a login names an unknown user
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString("hex"), 10);
+
+const getLockRemainingMs = (user) =>
+  user.lockedUntil ? Math.max(0, user.lockedUntil - Date.now()) : 0;
+
+const sendLockedResponse = (res, user) => {
+  const seconds = Math.ceil(getLockRemainingMs(user) / 1000);
+  res.set("Retry-After", String(seconds));
+  return res
+    .status(429)
+    .send(
+      `Account is temporarily locked due to failed attempts. Try again in ${Math.ceil(
+        seconds / 60
+      )} minute(s).`
+    );
+};
+
+// Record a failed password check; returns true if it locked the account.
+// Both steps are single atomic updates, so parallel attempts cannot lose
+// increments; only the update that reaches the threshold applies the lock.
+const registerFailedAttempt = async (user) => {
+  const now = new Date();
+  const expired = {
+    $gt: [
+      { $subtract: [now, { $ifNull: ["$lastFailedAttemptAt", now] }] },
+      LOCKOUT_RESET_HOURS * 60 * 60 * 1000,
+    ],
+  };
+
+  let updated = await User.findOneAndUpdate(
+    { _id: user._id },
+    [
+      {
+        $set: {
+          failedPasswordAttempts: {
+            $cond: [
+              expired,
+              1,
+              { $add: [{ $ifNull: ["$failedPasswordAttempts", 0] }, 1] },
+            ],
+          },
+          lockoutCount: { $cond: [expired, 0, { $ifNull: ["$lockoutCount", 0] }] },
+          lastFailedAttemptAt: now,
+        },
+      },
+    ],
+    { new: true }
+  );
+
+  let locked = false;
+  if (updated && updated.failedPasswordAttempts >= LOCKOUT_THRESHOLD) {
+    const lockMinutes = {
+      $min: [
+        { $multiply: [LOCKOUT_BASE_MINUTES, { $pow: [2, "$lockoutCount"] }] },
+        LOCKOUT_MAX_MINUTES,
+      ],
+    };
+    const lockedDoc = await User.findOneAndUpdate(
+      { _id: user._id, failedPasswordAttempts: { $gte: LOCKOUT_THRESHOLD } },
+      [
+        {
+          $set: {
+            lockedUntil: { $add: [now, { $multiply: [lockMinutes, 60 * 1000] }] },
+            lockoutCount: { $add: ["$lockoutCount", 1] },
+            failedPasswordAttempts: 0,
+          },
+        },
+      ],
+      { new: true }
+    );
+    if (lockedDoc) {
+      updated = lockedDoc;
+      locked = true;
     }
-    const token = jwt.sign(
-      { _id: user._id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: "1h" }
+  }
+
+  // Keep the caller's copy in step for the response
+  if (updated) {
+    const lockFields = [
+      "failedPasswordAttempts",
+      "lastFailedAttemptAt",
+      "lockoutCount",
+      "lockedUntil",
+    ];
+    lockFields.forEach((field) => user.set(field, updated.get(field)));
+  }
+  return locked;
+};
+
+const clearLockState = (user) => {
+  user.failedPasswordAttempts = 0;
+  user.lastFailedAttemptAt = undefined;
+  user.lockoutCount = 0;
+  user.lockedUntil = undefined;
+};
+
+// Listing helpers
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Opaque cursors hold the sort value and _id of the last item of a page
+const encodeCursor = (doc, sortField) => {
+  const value = doc.get(sortField) ?? null;
+  return Buffer.from(
+    JSON.stringify({
+      v: value instanceof Date ? value.toISOString() : value,
+      d: value instanceof Date,
+      id: doc._id,
+    })
+  ).toString("base64url");
+};
+
+const decodeCursor = (cursor) => {
+  const { v = null, d, id } = JSON.parse(Buffer.from(cursor, "base64url").toString());
+  if (!mongoose.Types.ObjectId.isValid(id)) throw new Error("Invalid cursor.");
+  return { value: d ? new Date(v) : v, id: new mongoose.Types.ObjectId(id) };
+};
+
+// Fetch one page sorted by sortField (ties broken by _id) after the cursor.
+// Missing values sort first in ascending order and last in descending order.
+const findPage = async (query, filter, { sortField, direction, limit, cursor }) => {
+  const op = direction === 1 ? "$gt" : "$lt";
+  const pageFilter = { ...filter };
+  if (cursor) {
+    const { value, id } = decodeCursor(cursor);
+    const after = [{ [sortField]: value, _id: { [op]: id } }];
+    if (value === null) {
+      if (direction === 1) after.push({ [sortField]: { $ne: null } });
+    } else {
+      after.push({ [sortField]: { [op]: value } });
+      if (direction === -1) after.push({ [sortField]: null });
+    }
+    pageFilter.$and = [...(filter.$and || []), { $or: after }];
+  }
+
+  const items = await query(pageFilter)
+    .sort({ [sortField]: direction, _id: direction })
+    .limit(limit + 1);
+
+  const hasMore = items.length > limit;
+  const page = items.slice(0, limit);
+  return {
+    items: page,
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1], sortField) : null,
+  };
+};
+
+// Parse "?sort=-createdAt" style parameters against a whitelist
+const parseSort = (sort, allowed, fallback) => {
+  const raw = sort || fallback;
+  const sortField = raw.replace(/^-/, "");
+  if (!allowed.includes(sortField)) return null;
+  return { sortField, direction: raw.startsWith("-") ? -1 : 1 };
+};
+
+const parseLimit = (limit, fallback = 20, max = 100) =>
+  Math.min(Math.max(parseInt(limit, 10) || fallback, 1), max);
+
+// Festivals where the user is the only organizer
+const findSoleOrganizedFestivals = async (userId) => {
+  const memberships = await Membership.find({ user: userId, role: "ORGANIZER" });
+  const sole = [];
+  for (const membership of memberships) {
+    const organizerCount = await Membership.countDocuments({
+      festival: membership.festival,
+      role: "ORGANIZER",
+    });
+    if (organizerCount <= 1) sole.push(membership.festival);
+  }
+  return sole;
+};
+
+// Soft-delete a user: anonymise the account and clean up every reference to
+// it. Festivals the user organizes alone go to reassignTo; performances they
+// own alone go to reassignTo or are flagged CREATOR_DELETED, and shared ones
+// go to the first accepted band member.
+const softDeleteUser = async (user, reassignTo) => {
+  const soleFestivals = await findSoleOrganizedFestivals(user._id);
+  if (soleFestivals.length > 0 && !reassignTo) {
+    throw new Error("The last organizer of a festival needs a user to reassign to.");
+  }
+  for (const festivalId of soleFestivals) {
+    await grantMembership(reassignTo._id, festivalId, "ORGANIZER", user._id);
+  }
+
+  const memberships = await Membership.find({ user: user._id });
+  for (const membership of memberships) {
+    await revokeMembership(membership);
+  }
+
+  const created = await Performance.find({ creator: user._id });
+  for (const performance of created) {
+    const coOwner = performance.bandMembers.find(
+      (member) => member.status === "ACCEPTED" && !member.user.equals(user._id)
     );
-    res.send({ token });
-  } catch (error) {
-    res.status(400).send(error);
+    if (coOwner) {
+      performance.creator = coOwner.user;
+      performance.bandMembers = performance.bandMembers.filter(
+        (member) => member !== coOwner
+      );
+    } else if (reassignTo) {
+      performance.creator = reassignTo._id;
+    } else {
+      performance.flags.addToSet("CREATOR_DELETED");
+    }
+    await performance.save({ validateBeforeSave: false });
   }
-});*/
 
-// User Login
-app.post("/users/login", async (req, res) => {
+  // Pending reviews are unassigned; submitted reviews are kept
+  const pendingReviews = await Review.find({ reviewer: user._id, status: "ASSIGNED" });
+  await Review.deleteMany({ _id: { $in: pendingReviews.map((review) => review._id) } });
+  await Performance.updateMany(
+    { _id: { $in: pendingReviews.map((review) => review.performance) } },
+    { $addToSet: { flags: "STAFF_REMOVED" } }
+  );
+  await Performance.updateMany(
+    { "bandMembers.user": user._id },
+    { $pull: { bandMembers: { user: user._id } } }
+  );
+  await PerformanceRevision.updateMany(
+    { "snapshot.bandMembers": user._id.toString() },
+    { $pull: { "snapshot.bandMembers": user._id.toString() } }
+  );
+
+  await Invitation.updateMany(
+    { issuedBy: user._id, usedAt: null, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  await OrganizerInvitation.updateMany(
+    { invitee: user._id, status: "PENDING" },
+    { status: "CANCELLED", respondedAt: new Date() }
+  );
+  await UserToken.deleteMany({ user: user._id });
+  await ArtistProfile.deleteOne({ user: user._id });
+  await revokeUserSessions(user._id, "ACCOUNT_DELETED");
+
+  user.username = `deleted-${user._id}`;
+  user.password = crypto.randomBytes(32).toString("hex");
+  user.email = undefined;
+  user.description = undefined;
+  user.genreExpertise = [];
+  user.twoFactor = undefined;
+  user.emailVerified = false;
+  user.accountStatus = "INACTIVE";
+  user.deletedAt = new Date();
+  clearLockState(user);
+  await user.save();
+};
+
+// TOTP helpers
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+};
+
+const base32Decode = (text) => {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of text.replace(/=+$/, "").toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 character.");
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+const encryptSecret = (plain) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", TWO_FACTOR_KEY, iv);
+  const data = Buffer.concat([cipher.update(plain, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data].map((part) => part.toString("hex")).join(":");
+};
+
+const decryptSecret = (encrypted) => {
+  const [iv, tag, data] = encrypted.split(":").map((part) => Buffer.from(part, "hex"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", TWO_FACTOR_KEY, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString("utf8");
+};
+
+const generateHotp = (secret, counter) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac("sha1", secret).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+  return String(code).padStart(TOTP_DIGITS, "0");
+};
+
+// Returns the matching time step (allowing one step of clock drift) or null
+const verifyTotp = (base32Secret, code) => {
+  if (!/^\d+$/.test(String(code || ""))) return null;
+  const secret = base32Decode(base32Secret);
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+  for (let drift = -1; drift <= 1; drift++) {
+    const expected = generateHotp(secret, currentStep + drift);
+    if (
+      expected.length === String(code).length &&
+      crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(String(code)))
+    ) {
+      return currentStep + drift;
+    }
+  }
+  return null;
+};
+
+// Check a TOTP code or recovery code against an enabled 2FA setup; consumes
+// recovery codes and rejects replayed TOTP codes. Saves the user on success.
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (recoveryCode) {
+    const recoveryHash = hashToken(String(recoveryCode).trim().toLowerCase());
+    const index = user.twoFactor.recoveryCodes.indexOf(recoveryHash);
+    if (index === -1) return false;
+    user.twoFactor.recoveryCodes.splice(index, 1);
+    await user.save();
+    return true;
+  }
+
+  const step = verifyTotp(decryptSecret(user.twoFactor.secret), code);
+  if (step === null || step <= (user.twoFactor.lastUsedStep ?? -1)) return false;
+  user.twoFactor.lastUsedStep = step;
+  await user.save();
+  return true;
+};
+
+// Replace the recovery codes of a user; returns the plain codes
+const generateRecoveryCodes = (user) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () =>
+    crypto.randomBytes(5).toString("hex")
+  );
+  user.twoFactor.recoveryCodes = codes.map(hashToken);
+  return codes;
+};
+
+// Revoke every active session of a user, optionally keeping one
+const revokeUserSessions = async (userId, reason, exceptSessionId) => {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+  const result = await Session.updateMany(filter, {
+    revokedAt: new Date(),
+    revokedReason: reason,
+  });
+  return result.modifiedCount;
+};
+
+// Routes
+// User Registration with Password and Username Validation and Double Input Check
+app.post("/users/register", async (req, res) => {
   try {
-    const { username, password } = req.body;
+    const { username, password, confirmPassword, invitationCode, email } =
+      req.body;
+    const role = req.body.role || "USER";
 
-    // Εύρεση χρήστη με το username
-    const user = await User.findOne({ username });
-    if (!user) {
-      return res.status(400).send("Invalid username or password.");
+    /*
+    // Username validation
+    const usernameRegex = /^[a-zA-Z][a-zA-Z0-9_]{4,}$/;
+    if (!usernameRegex.test(username)) {
+      return res
+        .status(400)
+        .send(
+          "Username must start with a letter and be at least 5 characters long, containing only letters, numbers, or underscores."
+        );
     }
 
-    // Έλεγχος κατάστασης λογαριασμού
-    if (user.accountStatus === "INACTIVE") {
+    // Password validation
+    const passwordRegex = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[\W_]).{8,}$/;
+    if (!passwordRegex.test(password)) {
       return res
-        .status(403)
-        .send("Account is inactive. Contact an administrator.");
+        .status(400)
+        .send(
+          "Password must be at least 8 characters long, include at least one uppercase letter, one lowercase letter, one digit, and one special character."
+        );
     }
 
-    // Επαλήθευση κωδικού
-    const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch) {
-      return res.status(400).send("Invalid username or password.");
+    // Confirm password check
+    if (password !== confirmPassword) {
+      return res.status(400).send("Passwords do not match.");
     }
+  */
 
-    // Δημιουργία JWT token
-    const token = jwt.sign(
-      { _id: user._id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: "1h" }
+    // Check if username already exists
+    const existingUser = await User.findOne({ username });
+    if (existingUser) {
+      return res.status(400).send("Username is already taken.");
+    }
+
+    if (!OPEN_ROLES.includes(role) && !INVITED_ROLES.includes(role)) {
+      return res.status(400).send("Invalid role.");
+    }
+
+    // Privileged roles require a valid invitation code for that role
+    const user = new User({ username, password, role, email });
+    let invitation = null;
+    if (INVITED_ROLES.includes(role)) {
+      if (!invitationCode) {
+        return res
+          .status(403)
+          .send(`An invitation code is required to register as ${role}.`);
+      }
+
+      // Claim the invitation atomically so a code cannot be redeemed twice
+      invitation = await Invitation.findOneAndUpdate(
+        {
+          codeHash: hashToken(invitationCode),
+          role,
+          usedAt: null,
+          revokedAt: null,
+          expiresAt: { $gt: new Date() },
+        },
+        { usedAt: new Date(), usedBy: user._id },
+        { new: true }
+      );
+      if (!invitation) {
+        return res
+          .status(403)
+          .send("Invitation code is invalid, expired or already used.");
+      }
+    }
+
+    // Create and save new user
+    try {
+      await user.save();
+    } catch (error) {
+      // Release the invitation if the account could not be created
+      if (invitation) {
+        await Invitation.findByIdAndUpdate(invitation._id, {
+          $unset: { usedAt: 1, usedBy: 1 },
+        });
+      }
+      throw error;
+    }
+
+    // Invitations tied to a festival grant the role within that festival
+    if (invitation && invitation.festival && FESTIVAL_ROLES.includes(role)) {
+      await grantMembership(user._id, invitation.festival, role, invitation.issuedBy);
+    }
+
+    // The account exists at this point, so a mail failure is only reported
+    if (user.email) {
+      try {
+        await sendVerificationEmail(user);
+      } catch (error) {
+        console.error("Verification email failed:", error.message);
+        return res
+          .status(201)
+          .send(
+            "User registered successfully, but the verification email could not be sent. Request a new one via /users/resend-verification."
+          );
+      }
+    }
+    res.status(201).send("User registered successfully.");
+  } catch (error) {
+    res.status(400).send(error.message || "An error occurred during registration.");
+  }
+});
+
+
+// List Users
+app.get("/users", authenticate, authorize(["ADMIN"]), async (req, res) => {
+  try {
+    const { role, accountStatus, username, sort, cursor, includeDeleted } =
+      req.query;
+
+    const order = parseSort(sort, ["username", "createdAt"], "username");
+    if (!order) {
+      return res.status(400).send("Sort must be one of username, createdAt.");
+    }
+
+    const filter = {};
+    if (includeDeleted !== "true") filter.deletedAt = null;
+    if (role) filter.role = role;
+    if (accountStatus) filter.accountStatus = accountStatus;
+    if (username) {
+      filter.username = { $regex: `^${escapeRegex(username)}`, $options: "i" };
+    }
+
+    const { items, nextCursor } = await findPage(
+      (pageFilter) =>
+        User.find(pageFilter).select(
+          `${PRIVATE_USER_FIELDS} -failedPasswordAttempts -lastFailedAttemptAt -lockoutCount`
+        ),
+      filter,
+      { ...order, limit: parseLimit(req.query.limit), cursor }
     );
 
-    res.send({ token });
+    res.status(200).send({ users: items, nextCursor });
+  } catch (error) {
+    res.status(400).send(error.message);
+  }
+});
+
+// Bulk User Actions
+app.post("/users/bulk", authenticate, authorize(["ADMIN"]), async (req, res) => {
+  try {
+    const { action, ids, role } = req.body;
+
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).send("A non-empty list of user ids is required.");
+    }
+    if (ids.length > 500) {
+      return res.status(400).send("At most 500 users can be updated at once.");
+    }
+    if (!ids.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).send("Invalid user ID format.");
+    }
+
+    // Admins cannot lock themselves out
+    if (ids.includes(req.user._id)) {
+      return res.status(400).send("You cannot apply bulk actions to your own account.");
+    }
+
+    let update;
+    let revokeReason;
+    switch (action) {
+      case "ACTIVATE":
+        update = { accountStatus: "ACTIVE" };
+        break;
+      case "DEACTIVATE":
+        update = { accountStatus: "INACTIVE" };
+        revokeReason = "ACCOUNT_DEACTIVATED";
+        break;
+      case "SET_ROLE":
+        if (!OPEN_ROLES.concat(INVITED_ROLES).includes(role)) {
+          return res.status(400).send("A valid role is required for SET_ROLE.");
+        }
+        update = { role };
+        revokeReason = "ROLE_CHANGED";
+        break;
+      default:
+        return res
+          .status(400)
+          .send("Action must be one of ACTIVATE, DEACTIVATE, SET_ROLE.");
+    }
+
+    const existing = await User.find({ _id: { $in: ids }, deletedAt: null }).select("_id");
+    const existingIds = existing.map((user) => user._id.toString());
+    const notFound = ids.filter((id) => !existingIds.includes(id));
+
+    const result = await User.updateMany({ _id: { $in: existingIds } }, update);
+
+    if (revokeReason) {
+      await Session.updateMany(
+        { user: { $in: existingIds }, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: revokeReason }
+      );
+    }
+
+    res.status(200).send({
+      message: `Bulk action ${action} applied.`,
+      matched: result.matchedCount,
+      modified: result.modifiedCount,
+      notFound,
+    });
   } catch (error) {
     res.status(500).send(error.message);
   }
 });
 
-// Change Password
-app.post("/users/change-password", authenticate, async (req, res) => {
+// Get User Details
+app.get("/users/:id", authenticate, async (req, res) => {
   try {
-    const { oldPassword, newPassword } = req.body;
+    if (req.user._id !== req.params.id && req.user.role !== "ADMIN") {
+      return res.status(403).send("Access denied.");
+    }
 
-    // Επαλήθευση αν παρέχονται τα πεδία
-    if (!oldPassword || !newPassword) {
-      return res
-        .status(400)
-        .send("Old password and new password are required.");
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).send("Invalid user ID format.");
     }
 
-    // Εύρεση χρήστη από το token
-    const user = await User.findById(req.user._id);
-    if (!user) {
-      return res.status(404).send("User not found.");
+    const user = await User.findById(req.params.id).select(PRIVATE_USER_FIELDS);
+    if (!user) return res.status(404).send("User not found.");
+
+    const [memberships, performances, assignedPerformances] = await Promise.all([
+      Membership.find({ user: user._id }).populate("festival", "name state dates"),
+      Performance.find({
+        $or: [{ creator: user._id }, { "bandMembers.user": user._id }],
+      })
+        .populate("festival", "name state")
+        .select("name state genre festival creator"),
+      Review.distinct("performance", { reviewer: user._id }).then((ids) =>
+        Performance.find({ _id: { $in: ids } })
+          .populate("festival", "name state")
+          .select("name state festival")
+      ),
+    ]);
+
+    res.status(200).send({
+      user,
+      // Memberships of festivals that no longer exist are skipped
+      festivals: memberships
+        .filter((membership) => membership.festival)
+        .map((membership) => ({
+          festival: membership.festival,
+          role: membership.role,
+        })),
+      performances,
+      assignedPerformances,
+    });
+  } catch (error) {
+    res.status(500).send(error.message);
+  }
+});
+
+// Export Personal Data of a User
+app.get("/users/:id/export", authenticate, async (req, res) => {
+  try {
+    if (req.user._id !== req.params.id && req.user.role !== "ADMIN") {
+      return res.status(403).send("Access denied.");
     }
 
-    // Επαλήθευση παλιού κωδικού
-    const isMatch = await bcrypt.compare(oldPassword, user.password);
-    if (!isMatch) {
-      return res.status(400).send("Old password is incorrect.");
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).send("Invalid user ID format.");
     }
 
-    // Αλλαγή κωδικού
-    user.password = newPassword;
-    await user.save();
+    const user = await User.findById(req.params.id).select(PRIVATE_USER_FIELDS);
+    if (!user) return res.status(404).send("User not found.");
+
+    const [
+      artistProfile,
+      memberships,
+      sessions,
+      invitationsIssued,
+      invitationUsed,
+      performancesCreated,
+      performancesAsMember,
+      reviews,
+    ] = await Promise.all([
+      ArtistProfile.findOne({ user: user._id }),
+      Membership.find({ user: user._id }).populate("festival", "name"),
+      Session.find({ user: user._id }).select("-refreshTokenHash -previousTokenHashes"),
+      Invitation.find({ issuedBy: user._id }).select("-codeHash"),
+      Invitation.findOne({ usedBy: user._id }).select("-codeHash"),
+      Performance.find({ creator: user._id }),
+      Performance.find({ "bandMembers.user": user._id }),
+      Review.find({ reviewer: user._id }).populate("performance", "name festival"),
+    ]);
+
+    const bundle = {
+      exportedAt: new Date(),
+      user,
+      artistProfile,
+      memberships,
+      sessions,
+      invitationsIssued,
+      invitationUsed,
+      performances: {
+        created: performancesCreated,
+        bandMember: performancesAsMember,
+      },
+      reviews,
+    };
 
-    res.status(200).send("Password updated successfully.");
+    res.set(
+      "Content-Disposition",
+      `attachment; filename="user-${user._id}-export.json"`
+    );
+    res.type("application/json").status(200).send(JSON.stringify(bundle, null, 2));
   } catch (error) {
     res.status(500).send(error.message);
   }
 });
 
-// Change User Account Status
-app.post(
-  "/users/:id/status",
-  authenticate,
-  authorize(["ADMIN"]),
-  async (req, res) => {
-    try {
-      const { status } = req.body;
+// Update User Information
+app.put("/users/:id", authenticate, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const updates = req.body;
 
-      // Επαλήθευση αν παρέχεται έγκυρη κατάσταση
-      if (!["ACTIVE", "INACTIVE"].includes(status)) {
-        return res
-          .status(400)
-          .send("Invalid status. Use 'ACTIVE' or 'INACTIVE'.");
-      }
+    // Find user by ID
+    const user = await User.findById(id);
+    if (!user) return res.status(404).send("User not found.");
 
-      // Εύρεση του χρήστη από το ID
+    // Check if the authenticated user is the owner or an admin
+    if (req.user._id !== id && req.user.role !== "ADMIN") {
+      return res.status(403).send("Access denied.");
+    }
+
+    // Prevent updating password
+    if (updates.password) {
+      return res
+        .status(400)
+        .send("Password cannot be updated using this endpoint.");
+    }
+
+    // Verification and lockout state are managed by their own endpoints
+    const protectedFields = [
+      "emailVerified",
+      "failedPasswordAttempts",
+      "lastFailedAttemptAt",
+      "lockoutCount",
+      "lockedUntil",
+      "deletedAt",
+      "isServiceAccount",
+      "twoFactor",
+    ];
+    const blockedField = protectedFields.find((key) => key in updates);
+    if (blockedField) {
+      return res.status(400).send(`${blockedField} cannot be set directly.`);
+    }
+
+    // Only an admin may change roles or account status
+    if (
+      (updates.role !== undefined || updates.accountStatus !== undefined) &&
+      req.user.role !== "ADMIN"
+    ) {
+      return res
+        .status(403)
+        .send("Only an admin can change the role or account status.");
+    }
+
+    // Genres of expertise are a list of names, kept once each
+    if (updates.genreExpertise !== undefined) {
+      const genres = updates.genreExpertise;
+      if (!Array.isArray(genres) || genres.some((genre) => typeof genre !== "string")) {
+        return res.status(400).send("genreExpertise must be a list of genres.");
+      }
+      updates.genreExpertise = genres
+        .map((genre) => genre.trim())
+        .filter(
+          (genre, index, list) =>
+            list.findIndex((other) => other.toLowerCase() === genre.toLowerCase()) === index
+        );
+    }
+
+    // Check if username or role is being changed
+    const isUsernameChanged = updates.username && updates.username !== user.username;
+    const isRoleChanged = updates.role !== undefined && updates.role !== user.role;
+    const isEmailChanged =
+      updates.email !== undefined && updates.email !== user.email;
+
+    // Update user details
+    Object.assign(user, updates);
+    if (isEmailChanged) user.emailVerified = false;
+    await user.save();
+
+    // A new email address has to be verified again. The change is saved by
+    // now, so a mail failure is only reported.
+    let mailNote = "";
+    if (isEmailChanged && user.email) {
+      try {
+        await sendVerificationEmail(user);
+      } catch (error) {
+        console.error("Verification email failed:", error.message);
+        mailNote =
+          " The verification email could not be sent. Request a new one via /users/resend-verification.";
+      }
+    }
+
+    // Access tokens carry the role, so they have to be reissued
+    if (isRoleChanged && !isUsernameChanged) {
+      await revokeUserSessions(user._id, "ROLE_CHANGED");
+    }
+
+    // Invalidate token if username changes
+    if (isUsernameChanged) {
+      await revokeUserSessions(user._id, "USERNAME_CHANGED");
+      return res
+        .status(200)
+        .send(`Username updated. Please log in again with the new username.${mailNote}`);
+    }
+
+    res.status(200).send(`User information updated successfully.${mailNote}`);
+  } catch (error) {
+    res.status(400).send(error.message);
+  }
+});
+
+
+// Verify Email Address
+app.post("/users/verify-email", async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token) return res.status(400).send("Verification token is required.");
+
+    const userToken = await consumeUserToken(token, "EMAIL_VERIFICATION");
+    if (!userToken) {
+      return res.status(400).send("Verification link is invalid or has expired.");
+    }
+
+    const user = await User.findById(userToken.user);
+    // The address may have changed since the link was sent
+    if (!user || user.email !== userToken.email) {
+      return res.status(400).send("Verification link is invalid or has expired.");
+    }
+
+    user.emailVerified = true;
+    await user.save();
+
+    res.status(200).send("Email address verified successfully.");
+  } catch (error) {
+    res.status(500).send(error.message);
+  }
+});
+
+// Resend Email Verification
+app.post("/users/resend-verification", authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) return res.status(404).send("User not found.");
+
+    if (!user.email) {
+      return res.status(400).send("No email address on this account.");
+    }
+    if (user.emailVerified) {
+      return res.status(400).send("Email address is already verified.");
+    }
+
+    await sendVerificationEmail(user);
+    res.status(200).send("Verification email sent.");
+  } catch (error) {
+    res.status(500).send(error.message);
+  }
+});
+
+// Forgot Password
+app.post("/users/forgot-password", async (req, res) => {
+  try {
+    const { username, email } = req.body;
+    if (!username && !email) {
+      return res.status(400).send("Username or email is required.");
+    }
+
+    const user = await User.findOne(
+      username ? { username } : { email: String(email).toLowerCase() }
+    );
+
+    // Only verified addresses receive reset links
+    if (
+      user &&
+      user.email &&
+      user.emailVerified &&
+      user.accountStatus === "ACTIVE"
+    ) {
+      const token = await issueUserToken(
+        user,
+        "PASSWORD_RESET",
+        PASSWORD_RESET_TTL_MINUTES * 60 * 1000
+      );
+      // A mail failure must not change the answer, or it would reveal
+      // which accounts exist
+      try {
+        await sendMail({
+          to: user.email,
+          subject: "Reset your password",
+          text:
+            `Hello ${user.username},\n\n` +
+            `Someone asked to reset the password of your account. ` +
+            `If it was you, open the link below:\n` +
+            `${APP_URL}/reset-password?token=${token}\n\n` +
+            `The link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes. ` +
+            `If you did not ask for this, you can ignore this email.`,
+        });
+      } catch (error) {
+        console.error("Password reset email failed:", error.message);
+      }
+    }
+
+    // Same answer whether or not the account exists
+    res
+      .status(200)
+      .send("If the account has a verified email, a reset link has been sent.");
+  } catch (error) {
+    res.status(500).send(error.message);
+  }
+});
+
+// Reset Password
+app.post("/users/reset-password", async (req, res) => {
+  try {
+    const { token, newPassword, confirmPassword } = req.body;
+
+    if (!token || !newPassword || !confirmPassword) {
+      return res
+        .status(400)
+        .send("Token, new password, and confirmation are required.");
+    }
+
+    if (newPassword !== confirmPassword) {
+      return res.status(400).send("Passwords do not match.");
+    }
+
+    const userToken = await consumeUserToken(token, "PASSWORD_RESET");
+    if (!userToken) {
+      return res.status(400).send("Reset link is invalid or has expired.");
+    }
+
+    const user = await User.findById(userToken.user);
+    if (!user) return res.status(404).send("User not found.");
+
+    // Proving ownership of the email also lifts any lockout
+    user.password = newPassword;
+    clearLockState(user);
+    await user.save();
+
+    // Any other outstanding reset links and all sessions are no longer valid
+    await UserToken.deleteMany({
+      user: user._id,
+      purpose: "PASSWORD_RESET",
+      usedAt: null,
+    });
+    await revokeUserSessions(user._id, "PASSWORD_RESET");
+
+    res.status(200).send("Password has been reset. Please log in again.");
+  } catch (error) {
+    res.status(500).send(error.message);
+  }
+});
+
+// Change User Password
+app.post("/users/change-password", authenticate, async (req, res) => {
+  try {
+    const { oldPassword, newPassword, confirmPassword } = req.body;
+
+    // Validate inputs
+    if (!oldPassword || !newPassword || !confirmPassword) {
+      return res
+        .status(400)
+        .send("Old password, new password, and confirmation are required.");
+    }
+
+    if (newPassword !== confirmPassword) {
+      return res.status(400).send("Passwords do not match.");
+    }
+
+    // Find the user
+    const user = await User.findById(req.user._id);
+    if (!user) return res.status(404).send("User not found.");
+
+    if (getLockRemainingMs(user) > 0) {
+      return sendLockedResponse(res, user);
+    }
+
+    // Check old password
+    const isMatch = await bcrypt.compare(oldPassword, user.password);
+    if (!isMatch) {
+      if (await registerFailedAttempt(user)) {
+        return sendLockedResponse(res, user);
+      }
+      return res.status(400).send("Old password is incorrect.");
+    }
+
+    // Reset failed attempts
+    clearLockState(user);
+
+    // Update password
+    user.password = newPassword;
+    await user.save();
+
+    // End every existing session, including the current one
+    await revokeUserSessions(user._id, "PASSWORD_CHANGED");
+
+    res
+      .status(200)
+      .send("Password updated successfully. Please log in again.");
+  } catch (error) {
+    res.status(500).send(error.message);
+  }
+});
+
+
+
+
+/* User Login Old
+app.post("/users/login", async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    const user = await User.findOne({ username });
+    if (!user || !(await bcrypt.compare(password, user.password))) {
+      return res.status(400).send("Invalid username or password.");
+    }
+    const token = jwt.sign(
+      { _id: user._id, role: user.role },
+      process.env.JWT_SECRET,
+      { expiresIn: "1h" }
+    );
+    res.send({ token });
+  } catch (error) {
+    res.status(400).send(error);
+  }
+});*/
+
+// User Login
+app.post("/users/login", async (req, res) => {
+  try {
+    const { username, password } = req.body;
+
+    // Εύρεση χρήστη με το username
+    const user = await User.findOne({ username });
+    if (!user) {
+      // Spend the same time as a real password check
+      await bcrypt.compare(String(password), DUMMY_PASSWORD_HASH);
+      return res.status(400).send("Invalid username or password.");
+    }
+
+    // Έλεγχος κατάστασης λογαριασμού
+    if (user.accountStatus === "INACTIVE") {
+      return res
+        .status(403)
+        .send("Account is inactive. Contact an administrator.");
+    }
+
+    // Οι λογαριασμοί υπηρεσίας συνδέονται μόνο με API key
+    if (user.isServiceAccount) {
+      return res.status(400).send("Invalid username or password.");
+    }
+
+    // Locked accounts get the same answer as a wrong password, so the login
+    // form does not reveal which usernames exist
+    const isMatch = await bcrypt.compare(password, user.password);
+    if (getLockRemainingMs(user) > 0) {
+      return res.status(400).send("Invalid username or password.");
+    }
+
+    // Επαλήθευση κωδικού
+    if (!isMatch) {
+      await registerFailedAttempt(user);
+      return res.status(400).send("Invalid username or password.");
+    }
+
+    // Με ενεργό 2FA απαιτείται και δεύτερο βήμα. Οι αποτυχημένες προσπάθειες
+    // μηδενίζονται μόνο μετά τον κωδικό 2FA.
+    if (user.twoFactor?.enabled) {
+      const challengeToken = jwt.sign(
+        { _id: user._id, purpose: "2fa" },
+        process.env.JWT_SECRET,
+        { expiresIn: TWO_FACTOR_CHALLENGE_TTL }
+      );
+      return res.send({ twoFactorRequired: true, challengeToken });
+    }
+
+    // Μηδενισμός αποτυχημένων προσπαθειών
+    if (user.failedPasswordAttempts || user.lockoutCount || user.lockedUntil) {
+      clearLockState(user);
+      await user.save();
+    }
+
+    // Δημιουργία session με access και refresh token
+    const tokens = await createSession(user, req);
+
+    res.send(tokens);
+  } catch (error) {
+    res.status(500).send(error.message);
+  }
+});
+
+// User Login - Second Step (2FA)
+app.post("/users/login/2fa", async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res
+        .status(400)
+        .send("Challenge token and a code or recovery code are required.");
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (error) {
+      return res.status(401).send("Login challenge has expired. Please login again.");
+    }
+    if (decoded.purpose !== "2fa") {
+      return res.status(400).send("Invalid challenge token.");
+    }
+
+    const user = await User.findById(decoded._id);
+    if (!user || user.accountStatus === "INACTIVE" || !user.twoFactor?.enabled) {
+      return res.status(400).send("Invalid challenge token.");
+    }
+
+    if (getLockRemainingMs(user) > 0) {
+      return sendLockedResponse(res, user);
+    }
+
+    if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+      if (await registerFailedAttempt(user)) {
+        return sendLockedResponse(res, user);
+      }
+      return res.status(400).send("Invalid authentication code.");
+    }
+
+    clearLockState(user);
+    await user.save();
+
+    const tokens = await createSession(user, req);
+    res.send({ ...tokens, recoveryCodesLeft: user.twoFactor.recoveryCodes.length });
+  } catch (error) {
+    res.status(500).send(error.message);
+  }
+});
+
+// Start 2FA Enrolment
+app.post("/users/2fa/enroll", authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) return res.status(404).send("User not found.");
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).send("Two-factor authentication is already enabled.");
+    }
+
+    const secret = base32Encode(crypto.randomBytes(20));
+    user.twoFactor.pendingSecret = encryptSecret(secret);
+    await user.save();
+
+    const label = encodeURIComponent(`${TOTP_ISSUER}:${user.username}`);
+    const issuer = encodeURIComponent(TOTP_ISSUER);
+    res.status(200).send({
+      secret,
+      otpauthUrl: `otpauth://totp/${label}?secret=${secret}&issuer=${issuer}&digits=${TOTP_DIGITS}&period=${TOTP_PERIOD_SECONDS}`,
+    });
+  } catch (error) {
+    res.status(500).send(error.message);
+  }
+});
+
+// Confirm 2FA Enrolment
+app.post("/users/2fa/confirm", authenticate, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user._id);
+    if (!user) return res.status(404).send("User not found.");
+
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).send("Start enrolment via /users/2fa/enroll first.");
+    }
+
+    const secret = decryptSecret(user.twoFactor.pendingSecret);
+    const step = verifyTotp(secret, code);
+    if (step === null) {
+      return res.status(400).send("Invalid authentication code.");
+    }
+
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    user.twoFactor.lastUsedStep = step;
+    const recoveryCodes = generateRecoveryCodes(user);
+    await user.save();
+
+    // Other sessions were opened without the second factor
+    await revokeUserSessions(user._id, "TWO_FACTOR_ENABLED", req.user.sid);
+
+    res.status(200).send({
+      message: "Two-factor authentication enabled. Store the recovery codes safely.",
+      recoveryCodes,
+    });
+  } catch (error) {
+    res.status(500).send(error.message);
+  }
+});
+
+// Regenerate 2FA Recovery Codes
+app.post("/users/2fa/recovery-codes", authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) return res.status(404).send("User not found.");
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).send("Two-factor authentication is not enabled.");
+    }
+
+    if (!(await verifySecondFactor(user, { code: req.body.code }))) {
+      return res.status(400).send("Invalid authentication code.");
+    }
+
+    const recoveryCodes = generateRecoveryCodes(user);
+    await user.save();
+
+    res.status(200).send({ recoveryCodes });
+  } catch (error) {
+    res.status(500).send(error.message);
+  }
+});
+
+// Disable 2FA
+app.post("/users/2fa/disable", authenticate, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    if (!password || (!code && !recoveryCode)) {
+      return res
+        .status(400)
+        .send("Password and a code or recovery code are required.");
+    }
+
+    const user = await User.findById(req.user._id);
+    if (!user) return res.status(404).send("User not found.");
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).send("Two-factor authentication is not enabled.");
+    }
+
+    // Roles under a mandatory 2FA policy cannot opt out
+    const settings = await getSystemSettings();
+    const organizedFestivals = await Membership.find({
+      user: user._id,
+      role: "ORGANIZER",
+    }).distinct("festival");
+    const enforcedByFestival = await Festival.exists({
+      _id: { $in: organizedFestivals },
+      requireTwoFactor: true,
+    });
+    if (
+      settings.requireTwoFactorRoles.includes(user.role) ||
+      (organizedFestivals.length > 0 &&
+        settings.requireTwoFactorRoles.includes("ORGANIZER")) ||
+      enforcedByFestival
+    ) {
+      return res
+        .status(403)
+        .send("Two-factor authentication is mandatory for your role.");
+    }
+
+    if (getLockRemainingMs(user) > 0) {
+      return sendLockedResponse(res, user);
+    }
+
+    const isMatch = await bcrypt.compare(password, user.password);
+    if (!isMatch || !(await verifySecondFactor(user, { code, recoveryCode }))) {
+      if (await registerFailedAttempt(user)) {
+        return sendLockedResponse(res, user);
+      }
+      return res.status(400).send("Invalid password or authentication code.");
+    }
+
+    user.twoFactor = { enabled: false, recoveryCodes: [] };
+    await user.save();
+
+    res.status(200).send("Two-factor authentication disabled.");
+  } catch (error) {
+    res.status(500).send(error.message);
+  }
+});
+
+// Get System Settings
+app.get("/settings", authenticate, authorize(["ADMIN"]), async (req, res) => {
+  try {
+    res.status(200).send(await getSystemSettings());
+  } catch (error) {
+    res.status(500).send(error.message);
+  }
+});
+
+// Update System Settings
+app.put("/settings", authenticate, authorize(["ADMIN"]), async (req, res) => {
+  try {
+    const { requireTwoFactorRoles } = req.body;
+
+    if (
+      !Array.isArray(requireTwoFactorRoles) ||
+      !requireTwoFactorRoles.every((role) => ["ADMIN", "ORGANIZER"].includes(role))
+    ) {
+      return res
+        .status(400)
+        .send("requireTwoFactorRoles must be a list of ADMIN and/or ORGANIZER.");
+    }
+
+    // An admin without 2FA cannot make it mandatory for admins and lock themselves out
+    if (requireTwoFactorRoles.includes("ADMIN") && !req.user.twoFactorEnabled) {
+      return res
+        .status(400)
+        .send("Enable two-factor authentication on your own account first.");
+    }
+
+    const settings = await SystemSettings.findOneAndUpdate(
+      { key: "system" },
+      { requireTwoFactorRoles, updatedBy: req.user._id, updatedAt: new Date() },
+      { upsert: true, new: true, runValidators: true }
+    );
+
+    res.status(200).send(settings);
+  } catch (error) {
+    res.status(400).send(error.message);
+  }
+});
+
+// Refresh Access Token
+app.post("/users/refresh", async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).send("Refresh token is required.");
+    }
+
+    const [sessionId] = refreshToken.split(".");
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+      return res.status(401).send("Invalid refresh token.");
+    }
+
+    const session = await Session.findById(sessionId);
+    if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+      return res.status(401).send("Session has expired. Please login again.");
+    }
+
+    const tokenHash = hashToken(refreshToken);
+
+    // A rotated-out token being presented again means it was stolen
+    const revokeForReuse = async () => {
+      await Session.updateOne(
+        { _id: session._id, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: "REFRESH_TOKEN_REUSE" }
+      );
+      return res
+        .status(401)
+        .send("Refresh token reuse detected. Session revoked.");
+    };
+
+    if (session.previousTokenHashes.includes(tokenHash)) {
+      return revokeForReuse();
+    }
+
+    if (session.refreshTokenHash !== tokenHash) {
+      return res.status(401).send("Invalid refresh token.");
+    }
+
+    const user = await User.findById(session.user);
+    if (!user || user.accountStatus === "INACTIVE") {
+      return res
+        .status(403)
+        .send("Account is inactive. Contact an administrator.");
+    }
+
+    // Rotate the refresh token only if it is still the current one. If a
+    // concurrent request rotated it first, this token has been used twice.
+    const newRefreshToken = generateRefreshToken(session._id);
+    const rotated = await Session.findOneAndUpdate(
+      { _id: session._id, refreshTokenHash: tokenHash, revokedAt: null },
+      {
+        refreshTokenHash: hashToken(newRefreshToken),
+        lastUsedAt: new Date(),
+        $push: {
+          previousTokenHashes: { $each: [tokenHash], $slice: -MAX_PREVIOUS_TOKEN_HASHES },
+        },
+      },
+      { new: true }
+    );
+    if (!rotated) return revokeForReuse();
+
+    res.send({
+      token: signAccessToken(user, rotated),
+      refreshToken: newRefreshToken,
+      expiresIn: ACCESS_TOKEN_TTL,
+    });
+  } catch (error) {
+    res.status(500).send(error.message);
+  }
+});
+
+// Logout (current session)
+app.post("/users/logout", authenticate, async (req, res) => {
+  try {
+    await Session.findByIdAndUpdate(req.user.sid, {
+      revokedAt: new Date(),
+      revokedReason: "LOGOUT",
+    });
+    res.status(200).send("Logged out successfully.");
+  } catch (error) {
+    res.status(500).send(error.message);
+  }
+});
+
+// Logout from all sessions
+app.post("/users/logout-all", authenticate, async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.user._id, "LOGOUT_ALL");
+    res.status(200).send({ message: "Logged out from all sessions.", revoked });
+  } catch (error) {
+    res.status(500).send(error.message);
+  }
+});
+
+// List Active Sessions of a User
+app.get(
+  "/users/:id/sessions",
+  authenticate,
+  authorize(["ADMIN"]),
+  async (req, res) => {
+    try {
+      const sessions = await Session.find({
+        user: req.params.id,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+      })
+        .select("-refreshTokenHash -previousTokenHashes")
+        .sort({ lastUsedAt: -1 });
+
+      res.status(200).send(sessions);
+    } catch (error) {
+      res.status(500).send(error.message);
+    }
+  }
+);
+
+// Revoke a Single Session of a User
+app.delete(
+  "/users/:id/sessions/:sessionId",
+  authenticate,
+  authorize(["ADMIN"]),
+  async (req, res) => {
+    try {
+      const session = await Session.findOne({
+        _id: req.params.sessionId,
+        user: req.params.id,
+      });
+      if (!session) {
+        return res.status(404).send("Session not found.");
+      }
+
+      if (!session.revokedAt) {
+        session.revokedAt = new Date();
+        session.revokedReason = "REVOKED_BY_ADMIN";
+        await session.save();
+      }
+
+      res.status(200).send("Session revoked successfully.");
+    } catch (error) {
+      res.status(500).send(error.message);
+    }
+  }
+);
+
+// Revoke All Sessions of a User
+app.delete(
+  "/users/:id/sessions",
+  authenticate,
+  authorize(["ADMIN"]),
+  async (req, res) => {
+    try {
+      const revoked = await revokeUserSessions(req.params.id, "REVOKED_BY_ADMIN");
+      res.status(200).send({ message: "All sessions revoked.", revoked });
+    } catch (error) {
+      res.status(500).send(error.message);
+    }
+  }
+);
+
+// List Festival Memberships of a User
+app.get("/users/:id/memberships", authenticate, async (req, res) => {
+  try {
+    if (req.user._id !== req.params.id && req.user.role !== "ADMIN") {
+      return res.status(403).send("Access denied.");
+    }
+
+    const memberships = await Membership.find({ user: req.params.id })
+      .populate("festival", "name state")
+      .sort({ createdAt: -1 });
+
+    res.status(200).send(memberships);
+  } catch (error) {
+    res.status(500).send(error.message);
+  }
+});
+
+// Get Lock State of a User
+app.get(
+  "/users/:id/lock",
+  authenticate,
+  authorize(["ADMIN"]),
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.params.id);
+      if (!user) {
+        return res.status(404).send("User not found.");
+      }
+
+      res.status(200).send({
+        locked: getLockRemainingMs(user) > 0,
+        lockedUntil: user.lockedUntil,
+        failedPasswordAttempts: user.failedPasswordAttempts,
+        lastFailedAttemptAt: user.lastFailedAttemptAt,
+        lockoutCount: user.lockoutCount,
+      });
+    } catch (error) {
+      res.status(500).send(error.message);
+    }
+  }
+);
+
+// Clear Lock State of a User
+app.delete(
+  "/users/:id/lock",
+  authenticate,
+  authorize(["ADMIN"]),
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.params.id);
+      if (!user) {
+        return res.status(404).send("User not found.");
+      }
+
+      clearLockState(user);
+      await user.save();
+
+      res.status(200).send("Account unlocked successfully.");
+    } catch (error) {
+      res.status(500).send(error.message);
+    }
+  }
+);
+
+// Change User Account Status
+app.post(
+  "/users/:id/status",
+  authenticate,
+  authorize(["ADMIN"]),
+  async (req, res) => {
+    try {
+      const { status } = req.body;
+
+      // Επαλήθευση αν παρέχεται έγκυρη κατάσταση
+      if (!["ACTIVE", "INACTIVE"].includes(status)) {
+        return res
+          .status(400)
+          .send("Invalid status. Use 'ACTIVE' or 'INACTIVE'.");
+      }
+
+      // Εύρεση του χρήστη από το ID
+      const user = await User.findById(req.params.id);
+      if (!user || user.deletedAt) {
+        return res.status(404).send("User not found.");
+      }
+
+      // Ενημέρωση της κατάστασης του λογαριασμού
+      user.accountStatus = status;
+      await user.save();
+
+      // Ένας ανενεργός λογαριασμός χάνει όλα τα sessions του
+      if (status === "INACTIVE") {
+        await revokeUserSessions(user._id, "ACCOUNT_DEACTIVATED");
+      }
+
+      res.status(200).send(`User status updated to ${status}.`);
+    } catch (error) {
+      res.status(500).send(error.message);
+    }
+  }
+);
+
+// Delete User
+app.delete(
+  "/users/:id",
+  authenticate,
+  authorize(["ADMIN"]),
+  async (req, res) => {
+    try {
       const user = await User.findById(req.params.id);
-      if (!user) {
+      if (!user || user.deletedAt) {
         return res.status(404).send("User not found.");
       }
 
-      // Ενημέρωση της κατάστασης του λογαριασμού
-      user.accountStatus = status;
-      await user.save();
+      if (user._id.toString() === req.user._id) {
+        return res.status(400).send("You cannot delete your own account.");
+      }
+
+      const { reassignTo } = req.body || {};
+      let reassignUser = null;
+      if (reassignTo) {
+        reassignUser = await User.findOne({ _id: reassignTo, deletedAt: null });
+        if (!reassignUser || reassignUser._id.equals(user._id)) {
+          return res.status(400).send("Invalid user to reassign to.");
+        }
+      }
+
+      // A festival must never be left without an organizer
+      if (!reassignUser) {
+        const soleFestivals = await findSoleOrganizedFestivals(user._id);
+        if (soleFestivals.length > 0) {
+          const festivals = await Festival.find({ _id: { $in: soleFestivals } }, "name");
+          return res.status(409).send({
+            message:
+              "User is the last organizer of some festivals. Provide reassignTo to hand them over.",
+            festivals: festivals.map((festival) => festival.name),
+          });
+        }
+      }
+
+      await softDeleteUser(user, reassignUser);
+      res.status(200).send("User deleted successfully.");
+    } catch (error) {
+      res.status(500).send(error.message);
+    }
+  }
+);
+
+// Issue Invitation Code
+app.post(
+  "/invitations",
+  authenticate,
+  authorize(["ADMIN", "ORGANIZER"]),
+  async (req, res) => {
+    try {
+      const { role, festival, expiresInHours } = req.body;
+
+      if (!INVITED_ROLES.includes(role)) {
+        return res
+          .status(400)
+          .send(`Invitations can only be issued for ${INVITED_ROLES.join(", ")}.`);
+      }
+
+      // Organizers may only invite STAFF for a festival they organize
+      if (req.user.role === "ORGANIZER") {
+        if (role !== "STAFF") {
+          return res
+            .status(403)
+            .send("Organizers can only issue invitations for STAFF.");
+        }
+        if (!festival) {
+          return res.status(400).send("Festival is required for STAFF invitations.");
+        }
+      }
+
+      if (festival) {
+        const festivalDoc = await Festival.findById(festival);
+        if (!festivalDoc) {
+          return res.status(404).send("Festival not found.");
+        }
+        if (
+          req.user.role === "ORGANIZER" &&
+          !(await hasFestivalRole(req.user._id, festivalDoc._id, "ORGANIZER"))
+        ) {
+          return res
+            .status(403)
+            .send("You can only invite staff to festivals you organize.");
+        }
+      }
+
+      const hours = Number(expiresInHours) || INVITATION_TTL_HOURS;
+      if (hours <= 0) {
+        return res.status(400).send("Expiry must be a positive number of hours.");
+      }
+
+      const code = crypto.randomBytes(16).toString("hex");
+      const invitation = new Invitation({
+        codeHash: hashToken(code),
+        role,
+        festival,
+        issuedBy: req.user._id,
+        expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000),
+      });
+      await invitation.save();
+
+      // The plain code is only ever shown here
+      const { codeHash, ...invitationDetails } = invitation.toObject();
+      res.status(201).send({ ...invitationDetails, code });
+    } catch (error) {
+      res.status(400).send(error.message);
+    }
+  }
+);
+
+// List Invitations
+app.get(
+  "/invitations",
+  authenticate,
+  authorize(["ADMIN", "ORGANIZER"]),
+  async (req, res) => {
+    try {
+      const { status, role, festival } = req.query;
+      const filter = {};
+
+      // Organizers only see the invitations they issued
+      if (req.user.role === "ORGANIZER") filter.issuedBy = req.user._id;
+      if (role) filter.role = role;
+      if (festival) filter.festival = festival;
+
+      const now = new Date();
+      if (status === "USED") filter.usedAt = { $ne: null };
+      if (status === "REVOKED") filter.revokedAt = { $ne: null };
+      if (status === "EXPIRED") {
+        Object.assign(filter, { usedAt: null, revokedAt: null, expiresAt: { $lte: now } });
+      }
+      if (status === "PENDING") {
+        Object.assign(filter, { usedAt: null, revokedAt: null, expiresAt: { $gt: now } });
+      }
+
+      const invitations = await Invitation.find(filter)
+        .select("-codeHash")
+        .populate("issuedBy", "username")
+        .populate("usedBy", "username")
+        .sort({ createdAt: -1 });
+
+      res.status(200).send(invitations);
+    } catch (error) {
+      res.status(500).send(error.message);
+    }
+  }
+);
+
+// Revoke Invitation
+app.delete(
+  "/invitations/:id",
+  authenticate,
+  authorize(["ADMIN", "ORGANIZER"]),
+  async (req, res) => {
+    try {
+      const invitation = await Invitation.findById(req.params.id);
+      if (!invitation) {
+        return res.status(404).send("Invitation not found.");
+      }
+
+      if (
+        req.user.role !== "ADMIN" &&
+        invitation.issuedBy.toString() !== req.user._id
+      ) {
+        return res
+          .status(403)
+          .send("Only the issuer or an admin can revoke this invitation.");
+      }
+
+      if (invitation.usedAt) {
+        return res.status(400).send("Invitation has already been used.");
+      }
+
+      invitation.revokedAt = invitation.revokedAt || new Date();
+      await invitation.save();
+
+      res.status(200).send("Invitation revoked successfully.");
+    } catch (error) {
+      res.status(500).send(error.message);
+    }
+  }
+);
+
+// Create Service Account
+app.post(
+  "/service-accounts",
+  authenticate,
+  authorize(["ADMIN"]),
+  async (req, res) => {
+    try {
+      const { username, description } = req.body;
+      if (!username) {
+        return res.status(400).send("Username is required.");
+      }
+
+      const existingUser = await User.findOne({ username });
+      if (existingUser) {
+        return res.status(400).send("Username is already taken.");
+      }
+
+      // Service accounts get an unusable random password
+      const serviceAccount = new User({
+        username,
+        description,
+        password: crypto.randomBytes(32).toString("hex"),
+        role: "USER",
+        isServiceAccount: true,
+      });
+      await serviceAccount.save();
+
+      const { password, ...details } = serviceAccount.toObject();
+      res.status(201).send(details);
+    } catch (error) {
+      res.status(400).send(error.message);
+    }
+  }
+);
+
+// List Service Accounts with their API Keys
+app.get(
+  "/service-accounts",
+  authenticate,
+  authorize(["ADMIN"]),
+  async (req, res) => {
+    try {
+      const serviceAccounts = await User.find({
+        isServiceAccount: true,
+        deletedAt: null,
+      }).select("username description accountStatus createdAt");
+
+      const apiKeys = await ApiKey.find({
+        serviceAccount: { $in: serviceAccounts.map((account) => account._id) },
+      })
+        .select("-keyHash")
+        .sort({ createdAt: -1 });
+
+      res.status(200).send(
+        serviceAccounts.map((account) => ({
+          ...account.toObject(),
+          apiKeys: apiKeys.filter((key) => key.serviceAccount.equals(account._id)),
+        }))
+      );
+    } catch (error) {
+      res.status(500).send(error.message);
+    }
+  }
+);
+
+// Create API Key for a Service Account
+app.post(
+  "/service-accounts/:id/keys",
+  authenticate,
+  authorize(["ADMIN"]),
+  async (req, res) => {
+    try {
+      const { name, scopes, expiresInDays } = req.body;
+
+      if (!name) {
+        return res.status(400).send("A name for the API key is required.");
+      }
+      if (
+        !Array.isArray(scopes) ||
+        scopes.length === 0 ||
+        !scopes.every((scope) => API_KEY_SCOPES.includes(scope))
+      ) {
+        return res
+          .status(400)
+          .send(`Scopes must be a non-empty list of: ${API_KEY_SCOPES.join(", ")}.`);
+      }
+
+      const days = Number(expiresInDays) || API_KEY_TTL_DAYS;
+      if (days <= 0) {
+        return res.status(400).send("Expiry must be a positive number of days.");
+      }
+
+      const serviceAccount = await User.findOne({
+        _id: req.params.id,
+        isServiceAccount: true,
+        deletedAt: null,
+      });
+      if (!serviceAccount) {
+        return res.status(404).send("Service account not found.");
+      }
+
+      const prefix = crypto.randomBytes(4).toString("hex");
+      const key = `fk_${prefix}_${crypto.randomBytes(32).toString("hex")}`;
+      const apiKey = new ApiKey({
+        serviceAccount: serviceAccount._id,
+        name,
+        prefix,
+        keyHash: hashToken(key),
+        scopes,
+        createdBy: req.user._id,
+        expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+      });
+      await apiKey.save();
+
+      // The plain key is only ever shown here
+      const { keyHash, ...keyDetails } = apiKey.toObject();
+      res.status(201).send({ ...keyDetails, key });
+    } catch (error) {
+      res.status(400).send(error.message);
+    }
+  }
+);
+
+// Revoke API Key
+app.delete(
+  "/service-accounts/:id/keys/:keyId",
+  authenticate,
+  authorize(["ADMIN"]),
+  async (req, res) => {
+    try {
+      const apiKey = await ApiKey.findOne({
+        _id: req.params.keyId,
+        serviceAccount: req.params.id,
+      });
+      if (!apiKey) {
+        return res.status(404).send("API key not found.");
+      }
+
+      apiKey.revokedAt = apiKey.revokedAt || new Date();
+      await apiKey.save();
+
+      res.status(200).send("API key revoked successfully.");
+    } catch (error) {
+      res.status(500).send(error.message);
+    }
+  }
+);
+
+// Create Festival
+app.post(
+  "/festivals",
+  authenticate,
+  authorize(["ADMIN", "ORGANIZER"]),
+  async (req, res) => {
+    try {
+      const { name, description, dates, venue } = req.body;
+
+      // Ensure unique festival name
+      const existingFestival = await Festival.findOne({ name });
+      if (existingFestival) {
+        return res.status(400).send("Festival name must be unique.");
+      }
+
+      const festival = new Festival({
+        name,
+        description,
+        dates,
+        venue,
+        organizers: [req.user._id],
+      });
+
+      await festival.save();
+      await grantMembership(req.user._id, festival._id, "ORGANIZER", req.user._id);
+      res.status(201).send(festival);
+    } catch (error) {
+      res.status(400).send(error);
+    }
+  }
+);
+// Update Festival Details
+app.put(
+  "/festivals/:id",
+  authenticate,
+  authorize(["ORGANIZER"], festivalFromParams),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const updates = req.body;
+
+      // Find the festival by ID
+      const festival = await Festival.findById(id);
+      if (!festival) {
+        return res.status(404).send("Festival not found.");
+      }
+
+      // Prevent updates if the festival is ANNOUNCED
+      if (festival.state === "ANNOUNCED") {
+        return res.status(400).send("No updates allowed. Festival is announced.");
+      }
+
+      // Update allowed fields
+      const allowedUpdates = [
+        "name",
+        "description",
+        "dates",
+        "venue",
+        "requireTwoFactor",
+        "submissionLimits",
+        "requiredReviews",
+        "reviewDisagreementThreshold",
+      ];
+      Object.keys(updates).forEach((key) => {
+        if (allowedUpdates.includes(key)) {
+          festival[key] = updates[key];
+        }
+      });
+
+      const { minDuration, maxDuration } = festival.submissionLimits || {};
+      if (minDuration != null && maxDuration != null && minDuration > maxDuration) {
+        return res
+          .status(400)
+          .send("Minimum duration cannot be greater than maximum duration.");
+      }
+
+      // Save the updated festival
+      await festival.save();
+
+      res.status(200).send(festival);
+    } catch (error) {
+      res.status(400).send(error.message);
+    }
+  }
+);
+
+// Archive Festival
+app.post(
+  "/festivals/:id/archive",
+  authenticate,
+  authorize(["ADMIN", "ORGANIZER"], festivalFromParams, { allowArchived: true }),
+  async (req, res) => {
+    try {
+      const festival = await Festival.findOneAndUpdate(
+        { _id: req.params.id, archivedAt: null },
+        { archivedAt: new Date(), archivedBy: req.user._id },
+        { new: true }
+      );
+      if (!festival) {
+        const exists = await Festival.exists({ _id: req.params.id });
+        return exists
+          ? res.status(400).send("Festival is already archived.")
+          : res.status(404).send("Festival not found.");
+      }
+
+      res.status(200).send({ message: "Festival archived successfully.", festival });
+    } catch (error) {
+      res.status(500).send(error.message);
+    }
+  }
+);
+
+// Delete Festival (CREATED or archived festivals only)
+app.delete(
+  "/festivals/:id",
+  authenticate,
+  authorize(["ADMIN", "ORGANIZER"], festivalFromParams, { allowArchived: true }),
+  async (req, res) => {
+    try {
+      const festival = await Festival.findById(req.params.id);
+      if (!festival) return res.status(404).send("Festival not found.");
+
+      if (festival.state !== "CREATED" && !festival.archivedAt) {
+        return res
+          .status(400)
+          .send("Only festivals in CREATED state or archived festivals can be deleted.");
+      }
+      if (req.body.confirmName !== festival.name) {
+        return res
+          .status(400)
+          .send("Confirm the deletion by sending the festival name as confirmName.");
+      }
+
+      // Re-check the conditions while deleting, in case the festival moved on
+      const deleted = await Festival.findOneAndDelete({
+        _id: festival._id,
+        $or: [{ state: "CREATED" }, { archivedAt: { $ne: null } }],
+      });
+      if (!deleted) {
+        return res.status(409).send("Festival changed concurrently. Try again.");
+      }
+
+      const performanceIds = await Performance.distinct("_id", { festival: festival._id });
+      const [
+        performances,
+        revisions,
+        reviews,
+        memberships,
+        organizerInvitations,
+        invitations,
+      ] = await Promise.all([
+        Performance.deleteMany({ festival: festival._id }),
+        PerformanceRevision.deleteMany({ performance: { $in: performanceIds } }),
+        Review.deleteMany({ festival: festival._id }),
+        Membership.deleteMany({ festival: festival._id }),
+        OrganizerInvitation.deleteMany({ festival: festival._id }),
+        Invitation.deleteMany({ festival: festival._id }),
+      ]);
+      // Later editions keep their series but lose the link to this one
+      await Festival.updateMany(
+        { previousEdition: festival._id },
+        { $unset: { previousEdition: 1 } }
+      );
+
+      res.status(200).send({
+        message: "Festival deleted successfully.",
+        deleted: {
+          performances: performances.deletedCount,
+          revisions: revisions.deletedCount,
+          reviews: reviews.deletedCount,
+          memberships: memberships.deletedCount,
+          organizerInvitations: organizerInvitations.deletedCount,
+          invitations: invitations.deletedCount,
+        },
+      });
+    } catch (error) {
+      res.status(500).send(error.message);
+    }
+  }
+);
+
+// List Festival Members
+app.get(
+  "/festivals/:id/members",
+  authenticate,
+  authorize(["ADMIN", "ORGANIZER"], festivalFromParams),
+  async (req, res) => {
+    try {
+      const festival = await Festival.findById(req.params.id);
+      if (!festival) return res.status(404).send("Festival not found.");
+
+      const filter = { festival: festival._id };
+      if (req.query.role) filter.role = req.query.role;
+
+      const memberships = await Membership.find(filter)
+        .populate("user", "username")
+        .sort({ role: 1, createdAt: 1 });
+
+      res.status(200).send(memberships);
+    } catch (error) {
+      res.status(500).send(error.message);
+    }
+  }
+);
+
+// Add Festival Member
+app.post(
+  "/festivals/:id/members",
+  authenticate,
+  authorize(["ADMIN", "ORGANIZER"], festivalFromParams),
+  async (req, res) => {
+    try {
+      const { username, role } = req.body;
+
+      if (!username || !FESTIVAL_ROLES.includes(role)) {
+        return res
+          .status(400)
+          .send(`Username and a role (${FESTIVAL_ROLES.join(", ")}) are required.`);
+      }
+
+      // New organizers are appointed by an admin
+      if (role === "ORGANIZER" && req.user.role !== "ADMIN") {
+        return res.status(403).send("Only an admin can add organizers directly.");
+      }
+
+      const festival = await Festival.findById(req.params.id);
+      if (!festival) return res.status(404).send("Festival not found.");
+
+      const user = await User.findOne({ username });
+      if (!user) return res.status(404).send("User not found.");
+
+      const membership = await grantMembership(user._id, festival._id, role, req.user._id);
+      res.status(201).send(membership);
+    } catch (error) {
+      res.status(400).send(error.message);
+    }
+  }
+);
+
+// List Festival Organizers and Pending Co-Organizer Invitations
+app.get(
+  "/festivals/:id/organizers",
+  authenticate,
+  authorize(["ADMIN", "ORGANIZER"], festivalFromParams),
+  async (req, res) => {
+    try {
+      const festival = await Festival.findById(req.params.id);
+      if (!festival) return res.status(404).send("Festival not found.");
+
+      const [organizers, invitations] = await Promise.all([
+        Membership.find({ festival: festival._id, role: "ORGANIZER" }).populate(
+          "user",
+          "username"
+        ),
+        OrganizerInvitation.find({
+          festival: festival._id,
+          status: "PENDING",
+          expiresAt: { $gt: new Date() },
+        })
+          .populate("invitee", "username")
+          .populate("invitedBy", "username"),
+      ]);
+
+      res.status(200).send({
+        organizers: organizers.map((membership) => ({
+          user: membership.user,
+          since: membership.createdAt,
+        })),
+        pendingInvitations: invitations,
+      });
+    } catch (error) {
+      res.status(500).send(error.message);
+    }
+  }
+);
+
+// Invite Co-Organizer
+app.post(
+  "/festivals/:id/organizers/invite",
+  authenticate,
+  authorize(["ORGANIZER"], festivalFromParams),
+  async (req, res) => {
+    try {
+      const { username } = req.body;
+      if (!username) return res.status(400).send("Username is required.");
+
+      const festival = await Festival.findById(req.params.id);
+      if (!festival) return res.status(404).send("Festival not found.");
+
+      if (festival.state === "ANNOUNCED") {
+        return res.status(400).send("No updates allowed. Festival is announced.");
+      }
+
+      const invitee = await User.findOne({
+        username,
+        deletedAt: null,
+        isServiceAccount: false,
+      });
+      if (!invitee) return res.status(404).send("User not found.");
+
+      if (await hasFestivalRole(invitee._id, festival._id, "ORGANIZER")) {
+        return res.status(400).send("User is already an organizer of this festival.");
+      }
+
+      const pending = await OrganizerInvitation.exists({
+        festival: festival._id,
+        invitee: invitee._id,
+        status: "PENDING",
+        expiresAt: { $gt: new Date() },
+      });
+      if (pending) {
+        return res.status(400).send("User already has a pending invitation.");
+      }
+
+      const invitation = new OrganizerInvitation({
+        festival: festival._id,
+        invitee: invitee._id,
+        invitedBy: req.user._id,
+        expiresAt: new Date(Date.now() + INVITATION_TTL_HOURS * 60 * 60 * 1000),
+      });
+      await invitation.save();
+
+      // The invitation stands even if the email fails; the invitee also finds
+      // it when they log in
+      let mailError;
+      if (invitee.email && invitee.emailVerified) {
+        try {
+          await sendMail({
+            to: invitee.email,
+            subject: `Invitation to co-organize ${festival.name}`,
+            text:
+              `Hello ${invitee.username},\n\n` +
+              `You have been invited to co-organize ${festival.name}. ` +
+              `Log in to accept or decline the invitation.`,
+          });
+        } catch (error) {
+          console.error("Organizer invitation email failed:", error.message);
+          mailError = "The invitation email could not be sent.";
+        }
+      }
+
+      res.status(201).send({ ...invitation.toObject(), mailError });
+    } catch (error) {
+      res.status(400).send(error.message);
+    }
+  }
+);
+
+// Cancel Co-Organizer Invitation
+app.delete(
+  "/festivals/:id/organizers/invitations/:invitationId",
+  authenticate,
+  authorize(["ORGANIZER"], festivalFromParams),
+  async (req, res) => {
+    try {
+      const invitation = await OrganizerInvitation.findOne({
+        _id: req.params.invitationId,
+        festival: req.params.id,
+      });
+      if (!invitation) return res.status(404).send("Invitation not found.");
+
+      if (invitation.status !== "PENDING") {
+        return res
+          .status(400)
+          .send(`Invitation is already ${invitation.status.toLowerCase()}.`);
+      }
+
+      invitation.status = "CANCELLED";
+      invitation.respondedAt = new Date();
+      await invitation.save();
+
+      res.status(200).send("Invitation cancelled successfully.");
+    } catch (error) {
+      res.status(500).send(error.message);
+    }
+  }
+);
+
+// Remove Co-Organizer (or leave the festival as organizer)
+app.delete(
+  "/festivals/:id/organizers/:userId",
+  authenticate,
+  authorize(["ORGANIZER"], festivalFromParams),
+  async (req, res) => {
+    try {
+      const membership = await Membership.findOne({
+        festival: req.params.id,
+        user: req.params.userId,
+        role: "ORGANIZER",
+      });
+      if (!membership) {
+        return res.status(404).send("User is not an organizer of this festival.");
+      }
+
+      const organizerCount = await Membership.countDocuments({
+        festival: membership.festival,
+        role: "ORGANIZER",
+      });
+      if (organizerCount <= 1) {
+        return res
+          .status(400)
+          .send("Cannot remove the last organizer of a festival.");
+      }
+
+      await revokeMembership(membership);
+      res.status(200).send("Organizer removed successfully.");
+    } catch (error) {
+      res.status(500).send(error.message);
+    }
+  }
+);
+
+// List Own Co-Organizer Invitations
+app.get("/organizer-invitations", authenticate, async (req, res) => {
+  try {
+    const invitations = await OrganizerInvitation.find({
+      invitee: req.user._id,
+      status: "PENDING",
+      expiresAt: { $gt: new Date() },
+    })
+      .populate("festival", "name state dates")
+      .populate("invitedBy", "username");
+
+    res.status(200).send(invitations);
+  } catch (error) {
+    res.status(500).send(error.message);
+  }
+});
+
+// Accept or Decline Co-Organizer Invitation
+app.post(
+  "/organizer-invitations/:id/:response(accept|decline)",
+  authenticate,
+  async (req, res) => {
+    try {
+      const accepted = req.params.response === "accept";
+
+      if (accepted) {
+        const pending = await OrganizerInvitation.findById(req.params.id).select("festival");
+        if (pending && (await isFestivalArchived(pending.festival))) {
+          return sendFestivalArchived(res);
+        }
+      }
+
+      // Only pending, unexpired invitations of the caller can be answered
+      const invitation = await OrganizerInvitation.findOneAndUpdate(
+        {
+          _id: req.params.id,
+          invitee: req.user._id,
+          status: "PENDING",
+          expiresAt: { $gt: new Date() },
+        },
+        { status: accepted ? "ACCEPTED" : "DECLINED", respondedAt: new Date() },
+        { new: true }
+      );
+      if (!invitation) {
+        return res.status(404).send("Invitation not found or no longer valid.");
+      }
+
+      if (accepted) {
+        await grantMembership(
+          req.user._id,
+          invitation.festival,
+          "ORGANIZER",
+          invitation.invitedBy
+        );
+      }
+
+      res
+        .status(200)
+        .send(accepted ? "You are now an organizer of this festival." : "Invitation declined.");
+    } catch (error) {
+      res.status(500).send(error.message);
+    }
+  }
+);
+
+// Export Festival Performances
+app.get(
+  "/festivals/:id/performances/export",
+  allowApiKey("performances:export"),
+  authenticate,
+  authorize(["ADMIN", "ORGANIZER"], festivalFromParams),
+  async (req, res) => {
+    try {
+      const festival = await Festival.findById(req.params.id);
+      if (!festival) return res.status(404).send("Festival not found.");
+
+      const performances = await Performance.find({ festival: festival._id })
+        .populate("creator", "username")
+        .sort({ name: 1 });
+      const reviews = await Review.find({ festival: festival._id })
+        .populate("reviewer", "username")
+        .sort({ performance: 1, assignedAt: 1 });
+
+      res.set(
+        "Content-Disposition",
+        `attachment; filename="festival-${festival._id}-performances.json"`
+      );
+      res.status(200).send({
+        festival: { _id: festival._id, name: festival.name, state: festival.state },
+        exportedAt: new Date(),
+        performances,
+        reviews,
+      });
+    } catch (error) {
+      res.status(500).send(error.message);
+    }
+  }
+);
+
+// Remove Festival Member
+app.delete(
+  "/festivals/:id/members/:membershipId",
+  authenticate,
+  authorize(["ADMIN", "ORGANIZER"], festivalFromParams),
+  async (req, res) => {
+    try {
+      const membership = await Membership.findOne({
+        _id: req.params.membershipId,
+        festival: req.params.id,
+      });
+      if (!membership) return res.status(404).send("Membership not found.");
+
+      if (membership.role === "ORGANIZER") {
+        const organizerCount = await Membership.countDocuments({
+          festival: membership.festival,
+          role: "ORGANIZER",
+        });
+        if (organizerCount <= 1) {
+          return res
+            .status(400)
+            .send("Cannot remove the last organizer of a festival.");
+        }
+      }
+
+      await revokeMembership(membership);
+      res.status(200).send("Membership removed successfully.");
+    } catch (error) {
+      res.status(500).send(error.message);
+    }
+  }
+);
+
+
+
+// Change a performance's state and record the festival phase it happened in,
+// so a phase rollback knows which changes to undo
+const setPerformanceState = (performance, to, phase, { by, automatic = false } = {}) => {
+  performance.stateChanges.push({ from: performance.state, to, phase, by, automatic });
+  performance.state = to;
+};
+
+// Band member helpers
+const findBandMember = (performance, userId) =>
+  performance.bandMembers.find((member) => member.user?.toString() === userId.toString());
+
+const acceptedBandMemberIds = (performance) =>
+  performance.bandMembers
+    .filter((member) => member.status === "ACCEPTED")
+    .map((member) => member.user._id || member.user);
+
+// Performances where one of the users is an accepted band member
+const acceptedBandMemberFilter = (userIds) => ({
+  bandMembers: { $elemMatch: { user: { $in: userIds }, status: "ACCEPTED" } },
+});
+
+// The creator and invited or accepted band members are listed on a performance
+// and may not review it
+const isListedOnPerformance = (performance, userId) =>
+  performance.creator.toString() === userId.toString() ||
+  ["INVITED", "ACCEPTED"].includes(findBandMember(performance, userId)?.status);
+
+// The creator and accepted band members may edit a performance
+const canEditPerformance = (performance, userId) =>
+  performance.creator.toString() === userId.toString() ||
+  findBandMember(performance, userId)?.status === "ACCEPTED";
+
+// Invite a user to the band of a performance; a member who declined or left
+// can be invited again
+const inviteBandMember = async (performance, invitee, invitedBy) => {
+  const existing = findBandMember(performance, invitee._id);
+  if (existing && ["INVITED", "ACCEPTED"].includes(existing.status)) {
+    return false;
+  }
+  if (existing) {
+    Object.assign(existing, {
+      status: "INVITED",
+      invitedBy,
+      invitedAt: new Date(),
+      respondedAt: undefined,
+    });
+  } else {
+    performance.bandMembers.push({ user: invitee._id, invitedBy });
+  }
+  return true;
+};
+
+// Tell an invitee about their band invitation, once it is saved
+// The invitation is already stored when this runs, so a mail failure is
+// logged and reported through the return value (false) instead of thrown
+const sendBandInvitation = async (performance, invitee) => {
+  if (!invitee.email || !invitee.emailVerified) return true;
+  try {
+    await sendMail({
+      to: invitee.email,
+      subject: `Invitation to join ${performance.name}`,
+      text:
+        `Hello ${invitee.username},\n\n` +
+        `You have been invited to join the band of ${performance.name}. ` +
+        `Log in to accept or decline the invitation.`,
+    });
+    return true;
+  } catch (error) {
+    console.error("Band invitation email failed:", error.message);
+    return false;
+  }
+};
+
+// Festival lifecycle guards. Each returns null when satisfied, otherwise a
+// description of the unmet precondition.
+const everySubmittedHasReviewers = async (festival) => {
+  const submitted = await Performance.find({
+    festival: festival._id,
+    state: "SUBMITTED",
+  }).select("_id");
+  const assigned = await Review.aggregate([
+    { $match: { performance: { $in: submitted.map((performance) => performance._id) } } },
+    { $group: { _id: "$performance", count: { $sum: 1 } } },
+  ]);
+  const count = submitted.filter((performance) => {
+    const entry = assigned.find((item) => item._id.equals(performance._id));
+    return (entry?.count || 0) < festival.requiredReviews;
+  }).length;
+  return count > 0
+    ? `${count} submitted performance(s) have fewer than ${festival.requiredReviews} reviewer(s) assigned.`
+    : null;
+};
+
+const everySubmittedReviewed = async (festival) => {
+  const count = await Performance.countDocuments({
+    festival: festival._id,
+    state: "SUBMITTED",
+  });
+  return count > 0
+    ? `${count} submitted performance(s) have not been reviewed.`
+    : null;
+};
+
+// Festival lifecycle side effects. Each returns fields merged into the response.
+// Automatically reject approved performances that are not finally submitted.
+// Only APPROVED performances are touched, so a second run picks up where an
+// interrupted one stopped.
+const rejectNotFinalSubmitted = async (festival) => {
+  const performances = await Performance.find({
+    festival: festival._id,
+    state: "APPROVED",
+  });
+
+  const rejectedPerformances = [];
+  for (const performance of performances) {
+    setPerformanceState(performance, "REJECTED", "DECISION", { automatic: true });
+    await performance.save();
+    rejectedPerformances.push(performance.name);
+  }
+  return { rejectedPerformances };
+};
+
+// Festival lifecycle: CREATED → SUBMISSION → ASSIGNMENT → REVIEW → SCHEDULING
+// → FINAL_SUBMISSION → DECISION → ANNOUNCED. Every phase change goes through
+// this table; "action" is also the route that triggers the transition.
+// Routes answer with the festival itself, or with { message, ...effects,
+// festival } where "envelope" is set, as those routes always have.
+const FESTIVAL_TRANSITIONS = [
+  {
+    action: "start-submission",
+    from: "CREATED",
+    to: "SUBMISSION",
+    label: "start submissions",
+  },
+  {
+    action: "start-assignment",
+    from: "SUBMISSION",
+    to: "ASSIGNMENT",
+    label: "start assignment",
+  },
+  {
+    action: "start-review",
+    from: "ASSIGNMENT",
+    to: "REVIEW",
+    label: "start review",
+    guards: [everySubmittedHasReviewers],
+  },
+  {
+    action: "start-scheduling",
+    from: "REVIEW",
+    to: "SCHEDULING",
+    label: "start the scheduling phase",
+    envelope: true,
+    guards: [everySubmittedReviewed],
+  },
+  {
+    action: "start-final-submission",
+    from: "SCHEDULING",
+    to: "FINAL_SUBMISSION",
+    label: "start the final submission phase",
+    envelope: true,
+  },
+  {
+    action: "start-decision",
+    from: "FINAL_SUBMISSION",
+    to: "DECISION",
+    label: "start the decision phase",
+    envelope: true,
+    effects: [rejectNotFinalSubmitted],
+  },
+  {
+    action: "announce",
+    from: "DECISION",
+    to: "ANNOUNCED",
+    label: "be announced",
+    envelope: true,
+    // An announced festival is locked
+    reversible: false,
+    message:
+      "Festival state updated to ANNOUNCED. The festival is now locked and ready for public announcement.",
+  },
+];
+
+const checkTransitionGuards = async (festival, transition) => {
+  const results = await Promise.all(
+    (transition.guards || []).map((guard) => guard(festival))
+  );
+  return results.filter(Boolean);
+};
+
+// Transitions out of the festival's current phase and what still blocks them
+const getAvailableTransitions = async (festival) =>
+  Promise.all(
+    FESTIVAL_TRANSITIONS.filter((transition) => transition.from === festival.state).map(
+      async (transition) => {
+        const unmet = await checkTransitionGuards(festival, transition);
+        return {
+          action: transition.action,
+          to: transition.to,
+          allowed: unmet.length === 0,
+          unmet,
+        };
+      }
+    )
+  );
+
+// Run a transition's side effects and clear the pending mark on the
+// festival's history. Effects must be safe to run again after a partial run.
+const applyTransitionEffects = async (festival, transition) => {
+  const effects = {};
+  for (const effect of transition.effects || []) {
+    Object.assign(effects, await effect(festival));
+  }
+  if (transition.effects?.length) {
+    await clearPendingEffects(festival);
+    festival.stateHistory.forEach((entry) => {
+      entry.effectsPending = undefined;
+    });
+  }
+  return effects;
+};
+
+const clearPendingEffects = (festival) =>
+  Festival.updateOne(
+    { _id: festival._id },
+    { $unset: { "stateHistory.$[entry].effectsPending": "" } },
+    { arrayFilters: [{ "entry.effectsPending": true }] }
+  );
+
+// Finish the effects of transitions that were interrupted. Only the latest
+// history entry can still need them; after a rollback they no longer apply.
+const resumePendingEffects = async () => {
+  const festivals = await Festival.find({ "stateHistory.effectsPending": true });
+  for (const festival of festivals) {
+    const latest = festival.stateHistory[festival.stateHistory.length - 1];
+    const transition = FESTIVAL_TRANSITIONS.find((entry) => entry.action === latest.action);
+    try {
+      if (latest.effectsPending && transition && festival.state === transition.to) {
+        await applyTransitionEffects(festival, transition);
+        console.log(`Finished the ${latest.action} effects for ${festival.name}.`);
+      } else {
+        await clearPendingEffects(festival);
+      }
+    } catch (error) {
+      console.error(`Effects of ${latest.action} for ${festival.name} failed:`, error.message);
+    }
+  }
+};
+
+// Run a transition: check state and guards, move the festival atomically
+// (so concurrent calls cannot both succeed), then run the side effects.
+// Returns { festival, effects } or { error: { status, message, unmet } }.
+const runFestivalTransition = async (festival, action, { by, automatic = false } = {}) => {
+  const transition = FESTIVAL_TRANSITIONS.find((entry) => entry.action === action);
+  if (!transition) {
+    return { error: { status: 400, message: `Unknown transition '${action}'.` } };
+  }
+
+  if (festival.state !== transition.from) {
+    return {
+      error: {
+        status: 400,
+        message: `Festival must be in ${transition.from} state to ${transition.label}.`,
+      },
+    };
+  }
+
+  const unmet = await checkTransitionGuards(festival, transition);
+  if (unmet.length > 0) {
+    return {
+      error: {
+        status: 400,
+        message: `Cannot move festival to ${transition.to}. Preconditions not met.`,
+        unmet,
+      },
+    };
+  }
+
+  // The history entry stays marked until the effects are done, so the
+  // scheduler can finish them if this process stops halfway
+  const effectsPending = Boolean(transition.effects?.length) || undefined;
+  const updated = await Festival.findOneAndUpdate(
+    { _id: festival._id, state: transition.from },
+    {
+      state: transition.to,
+      $push: {
+        stateHistory: {
+          from: transition.from,
+          to: transition.to,
+          action,
+          by,
+          automatic,
+          effectsPending,
+        },
+      },
+    },
+    { new: true }
+  );
+  if (!updated) {
+    return {
+      error: { status: 409, message: "Festival state changed concurrently. Try again." },
+    };
+  }
+
+  const effects = await applyTransitionEffects(updated, transition);
+
+  return {
+    festival: updated,
+    effects,
+    message: transition.message || `Festival state updated to ${transition.to}.`,
+  };
+};
+
+// Roll a festival back to the phase before its current one. Performance
+// state changes made during the current phase (including automatic ones made
+// on entering it) are undone; other performance data is left as it is.
+// Returns { festival, revertedPerformances, clearedDeadline } or { error }.
+const rollbackFestival = async (festival, { by, reason }) => {
+  const transition = FESTIVAL_TRANSITIONS.find((entry) => entry.to === festival.state);
+  if (!transition) {
+    return { error: { status: 400, message: "Festival has no previous phase." } };
+  }
+  if (transition.reversible === false) {
+    return {
+      error: { status: 400, message: `A festival in ${festival.state} state cannot be rolled back.` },
+    };
+  }
+
+  const current = festival.state;
+  const previous = transition.from;
+
+  // When the current phase started (ignoring re-entries through rollback)
+  const entered = [...festival.stateHistory]
+    .reverse()
+    .find((entry) => entry.to === current && entry.action !== "rollback");
+  const enteredAt = entered?.at || new Date(0);
+
+  // A deadline of the previous phase that already passed would immediately
+  // move the festival forward again, so it is cleared
+  const previousDeadline = festival.deadlines?.[previous];
+  const clearedDeadline =
+    previousDeadline && previousDeadline <= new Date() ? previous : null;
+
+  const update = {
+    state: previous,
+    $push: {
+      stateHistory: { from: current, to: previous, action: "rollback", by, reason },
+    },
+  };
+  if (clearedDeadline) update.$unset = { [`deadlines.${previous}`]: 1 };
+
+  const updated = await Festival.findOneAndUpdate(
+    { _id: festival._id, state: current },
+    update,
+    { new: true }
+  );
+  if (!updated) {
+    return {
+      error: { status: 409, message: "Festival state changed concurrently. Try again." },
+    };
+  }
+
+  const performances = await Performance.find({
+    festival: festival._id,
+    stateChanges: {
+      $elemMatch: { phase: current, rollback: false, at: { $gte: enteredAt } },
+    },
+  });
+
+  const revertedPerformances = [];
+  for (const performance of performances) {
+    const first = performance.stateChanges.find(
+      (change) => change.phase === current && !change.rollback && change.at >= enteredAt
+    );
+    if (first.from === performance.state) continue;
+
+    revertedPerformances.push({
+      name: performance.name,
+      from: performance.state,
+      to: first.from,
+    });
+    performance.stateChanges.push({
+      from: performance.state,
+      to: first.from,
+      phase: current,
+      by,
+      rollback: true,
+    });
+    if (performance.state === "REJECTED") performance.rejectionReason = undefined;
+    performance.state = first.from;
+    await performance.save();
+  }
+
+  return { festival: updated, revertedPerformances, clearedDeadline };
+};
+
+// Festival Phase Transitions (start-submission, start-assignment, start-review,
+// start-scheduling, start-final-submission, start-decision, announce)
+FESTIVAL_TRANSITIONS.forEach(({ action, envelope }) => {
+  app.post(
+    `/festivals/:id/${action}`,
+    authenticate,
+    authorize(["ORGANIZER"], festivalFromParams),
+    async (req, res) => {
+      try {
+        const festival = await Festival.findById(req.params.id);
+        if (!festival) return res.status(404).send("Festival not found.");
+
+        const outcome = await runFestivalTransition(festival, action, {
+          by: req.user._id,
+        });
+        if (outcome.error) {
+          const { status, message, unmet } = outcome.error;
+          return res.status(status).send(unmet ? { message, unmet } : message);
+        }
+
+        if (!envelope) return res.status(200).send(outcome.festival);
+        res.status(200).send({
+          message: outcome.message,
+          ...outcome.effects,
+          festival: outcome.festival,
+        });
+      } catch (error) {
+        res.status(500).send(error.message);
+      }
+    }
+  );
+});
+
+// Roll Back Festival to the Previous Phase
+app.post(
+  "/festivals/:id/rollback",
+  authenticate,
+  authorize(["ORGANIZER"], festivalFromParams),
+  async (req, res) => {
+    try {
+      const { reason } = req.body;
+      if (!reason || !String(reason).trim()) {
+        return res.status(400).send("A reason for the rollback is required.");
+      }
+
+      const festival = await Festival.findById(req.params.id);
+      if (!festival) return res.status(404).send("Festival not found.");
 
-      res.status(200).send(`User status updated to ${status}.`);
+      const outcome = await rollbackFestival(festival, {
+        by: req.user._id,
+        reason: String(reason).trim(),
+      });
+      if (outcome.error) {
+        return res.status(outcome.error.status).send(outcome.error.message);
+      }
+
+      res.status(200).send({
+        ...outcome.festival.toObject(),
+        transition: {
+          message: `Festival rolled back to ${outcome.festival.state}.`,
+          revertedPerformances: outcome.revertedPerformances,
+          clearedDeadline: outcome.clearedDeadline,
+        },
+      });
     } catch (error) {
       res.status(500).send(error.message);
     }
   }
 );
 
-// Delete User
-app.delete(
-  "/users/:id",
+// Get Available Festival Transitions
+app.get(
+  "/festivals/:id/transitions",
   authenticate,
-  authorize(["ADMIN"]),
+  authorize(["ADMIN", "ORGANIZER"], festivalFromParams),
   async (req, res) => {
     try {
-      const user = await User.findByIdAndDelete(req.params.id);
-      if (!user) {
-        return res.status(404).send("User not found.");
-      }
-      res.status(200).send("User deleted successfully.");
+      const festival = await Festival.findById(req.params.id);
+      if (!festival) return res.status(404).send("Festival not found.");
+
+      res.status(200).send({
+        state: festival.state,
+        transitions: await getAvailableTransitions(festival),
+      });
     } catch (error) {
       res.status(500).send(error.message);
     }
   }
 );
 
-// Create Festival
+// Configuration copied from one edition of a festival to the next
+const FESTIVAL_TEMPLATE_FIELDS = [
+  "description",
+  "venue",
+  "requireTwoFactor",
+  "deadlineWarningHours",
+  "submissionLimits",
+  "requiredReviews",
+  "reviewDisagreementThreshold",
+];
+
+const shiftDate = (date, days) =>
+  date ? new Date(date.getTime() + days * 24 * 60 * 60 * 1000) : date;
+
+// Clone Festival as a New Edition
 app.post(
-  "/festivals",
+  "/festivals/:id/clone",
   authenticate,
-  authorize(["ADMIN", "ORGANIZER"]),
+  authorize(["ORGANIZER"], festivalFromParams, { allowArchived: true }),
   async (req, res) => {
     try {
-      const { name, description, dates, venue } = req.body;
+      const { name, shiftDays = 365, inviteArtists = false } = req.body;
+
+      if (!name) return res.status(400).send("A name for the new edition is required.");
+      if (!Number.isFinite(Number(shiftDays))) {
+        return res.status(400).send("shiftDays must be a number.");
+      }
+      const days = Number(shiftDays);
+
+      const source = await Festival.findById(req.params.id);
+      if (!source) return res.status(404).send("Festival not found.");
 
       // Ensure unique festival name
-      const existingFestival = await Festival.findOne({ name });
-      if (existingFestival) {
+      if (await Festival.exists({ name })) {
         return res.status(400).send("Festival name must be unique.");
       }
 
+      const series = source.series || source._id;
+      const latest = await Festival.findOne({ $or: [{ _id: series }, { series }] })
+        .sort({ edition: -1 })
+        .select("edition");
+
+      // Shifted deadlines that would already have passed are dropped
+      const deadlines = {};
+      for (const phase of DEADLINE_PHASES) {
+        const shifted = shiftDate(source.deadlines?.[phase], days);
+        if (shifted && shifted > new Date()) deadlines[phase] = shifted;
+      }
+
       const festival = new Festival({
         name,
-        description,
-        dates,
-        venue,
-        organizers: [req.user._id],
+        dates: {
+          start: shiftDate(source.dates?.start, days),
+          end: shiftDate(source.dates?.end, days),
+        },
+        deadlines,
+        series,
+        edition: (latest?.edition || 1) + 1,
+        previousEdition: source._id,
+      });
+      FESTIVAL_TEMPLATE_FIELDS.forEach((field) => {
+        festival.set(field, source.get(field));
       });
 
+      // Stages are copied with their opening days shifted
+      festival.stages = source.stages.map((stage) => {
+        const { _id, ...details } = stage.toObject();
+        return {
+          ...details,
+          openingHours: details.openingHours.map((hours) => ({
+            ...hours,
+            date: shiftDate(new Date(`${hours.date}T00:00:00Z`), days)
+              .toISOString()
+              .slice(0, 10),
+          })),
+        };
+      });
       await festival.save();
-      res.status(201).send(festival);
+
+      // The first edition becomes the head of the series
+      if (!source.series) {
+        await Festival.updateOne({ _id: source._id }, { series });
+      }
+
+      // Organizers carry over to the new edition
+      const organizers = await Membership.find({
+        festival: source._id,
+        role: "ORGANIZER",
+      });
+      for (const membership of organizers) {
+        await grantMembership(membership.user, festival._id, "ORGANIZER", req.user._id);
+      }
+      await grantMembership(req.user._id, festival._id, "ORGANIZER", req.user._id);
+
+      // Invite back the artists scheduled at the previous edition. This is only
+      // a notice: no role is granted, as artists become ARTIST of the new
+      // edition once they choose to submit a performance to it. The edition is
+      // complete by now, so failed emails are reported per artist.
+      const invitedArtists = [];
+      const mailErrors = [];
+      if (inviteArtists) {
+        const scheduled = await Performance.find({
+          festival: source._id,
+          state: "SCHEDULED",
+        });
+        const artists = await User.find({
+          deletedAt: null,
+          _id: {
+            $in: scheduled.flatMap((performance) => [
+              performance.creator,
+              ...acceptedBandMemberIds(performance),
+            ]),
+          },
+        });
+
+        for (const artist of artists) {
+          if (!artist.email || !artist.emailVerified) continue;
+          try {
+            await sendMail({
+              to: artist.email,
+              subject: `You're invited back to ${festival.name}`,
+              text:
+                `Hello ${artist.username},\n\n` +
+                `You performed at ${source.name}, and ${festival.name} would love to ` +
+                `have you back. Watch for its submission phase to submit a performance.`,
+            });
+            invitedArtists.push(artist.username);
+          } catch (error) {
+            console.error(`Invitation email to ${artist.username} failed:`, error.message);
+            mailErrors.push(artist.username);
+          }
+        }
+      }
+
+      res.status(201).send({
+        message: `Festival cloned as edition ${festival.edition}.`,
+        festival: await Festival.findById(festival._id),
+        invitedArtists,
+        mailErrors,
+      });
     } catch (error) {
-      res.status(400).send(error);
+      res.status(400).send(error.message);
     }
   }
 );
-// Update Festival Details
-app.put("/festivals/:id", authenticate, authorize(["ORGANIZER"]), async (req, res) => {
-  try {
-    const { id } = req.params;
-    const updates = req.body;
 
-    // Find the festival by ID
-    const festival = await Festival.findById(id);
-    if (!festival) {
-      return res.status(404).send("Festival not found.");
+// List Editions of a Festival Series
+app.get("/festivals/:id/editions", allowApiKey("festivals:read"), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).send("Invalid festival ID format.");
     }
 
-    // Prevent updates if the festival is ANNOUNCED
-    if (festival.state === "ANNOUNCED") {
-      return res.status(400).send("No updates allowed. Festival is announced.");
+    const festival = await Festival.findById(req.params.id);
+    if (!festival) return res.status(404).send("Festival not found.");
+
+    // Check for Authentication
+    const user = await identifyOptionalUser(req);
+    if (user === false) {
+      return res.status(403).send("Access denied. Invalid token.");
     }
 
-    // Update allowed fields
-    const allowedUpdates = ["name", "description", "dates", "venue"];
-    Object.keys(updates).forEach((key) => {
-      if (allowedUpdates.includes(key)) {
-        festival[key] = updates[key];
-      }
+    const series = festival.series || festival._id;
+    const editions = await Festival.find({ $or: [{ _id: series }, { series }] })
+      .populate("organizers", "username")
+      .sort({ edition: 1 });
+
+    res.status(200).send(
+      editions.map((edition) => projectFestival(edition, Boolean(user)))
+    );
+  } catch (error) {
+    res.status(500).send(error.message);
+  }
+});
+
+// Stage helpers
+// Validate stage input against the festival; returns an error message or null
+const validateStage = (festival, stage, stageId) => {
+  if (!stage.name) return "Stage name is required.";
+
+  const duplicate = festival.stages.some(
+    (existing) =>
+      existing.name.toLowerCase() === String(stage.name).toLowerCase() &&
+      !existing._id.equals(stageId)
+  );
+  if (duplicate) return "Stage name must be unique within the festival.";
+
+  const dates = (stage.openingHours || []).map((hours) => hours.date);
+  if (new Set(dates).size !== dates.length) {
+    return "Each festival day can only have one set of opening hours.";
+  }
+
+  // Opening days must fall within the festival dates, when those are known
+  const first = festival.dates?.start?.toISOString().slice(0, 10);
+  const last = festival.dates?.end?.toISOString().slice(0, 10);
+  const outside = dates.find((date) => (first && date < first) || (last && date > last));
+  if (outside) return `Opening day ${outside} is outside the festival dates.`;
+
+  return null;
+};
+
+// Check a time slot on a stage: it must fit one day's opening hours (times
+// are UTC) and keep the changeover time to other scheduled performances on
+// the same stage. Returns an error message or null.
+const findSlotConflict = async (stage, performance, start, end) => {
+  if (stage.openingHours.length > 0) {
+    const fits = stage.openingHours.some((hours) => {
+      const opens = new Date(`${hours.date}T${hours.opens}:00Z`);
+      const closes = new Date(`${hours.date}T${hours.closes}:00Z`);
+      if (closes <= opens) closes.setUTCDate(closes.getUTCDate() + 1);
+      return start >= opens && end <= closes;
     });
+    if (!fits) return `The slot is outside the opening hours of ${stage.name}.`;
+  }
+
+  const changeover = (stage.changeoverMinutes || 0) * 60 * 1000;
+  const others = await Performance.find({
+    _id: { $ne: performance._id },
+    festival: performance.festival,
+    stage: stage._id,
+    state: "SCHEDULED",
+    "scheduledSlot.start": { $lt: new Date(end.getTime() + changeover) },
+  });
+  const clash = others.find((other) => {
+    const otherEnd = other.scheduledSlot.end || other.scheduledSlot.start;
+    return start.getTime() < otherEnd.getTime() + changeover;
+  });
+  if (clash) {
+    return `The slot overlaps '${clash.name}' on ${stage.name} or its changeover time.`;
+  }
+
+  return null;
+};
+
+const STAGE_FIELDS = [
+  "name",
+  "capacity",
+  "changeoverMinutes",
+  "openingHours",
+  "technicalSpecs",
+];
+
+const pickStageFields = (body) =>
+  Object.fromEntries(
+    Object.entries(body).filter(([key]) => STAGE_FIELDS.includes(key))
+  );
+
+// List Festival Stages
+app.get("/festivals/:id/stages", async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).send("Invalid festival ID format.");
+    }
 
-    // Save the updated festival
-    await festival.save();
+    const festival = await Festival.findById(req.params.id).select("name venue stages");
+    if (!festival) return res.status(404).send("Festival not found.");
 
-    res.status(200).send(festival);
+    res.status(200).send({ venue: festival.venue, stages: festival.stages });
   } catch (error) {
-    res.status(400).send(error.message);
+    res.status(500).send(error.message);
   }
 });
 
+// Add Festival Stage
+app.post(
+  "/festivals/:id/stages",
+  authenticate,
+  authorize(["ORGANIZER"], festivalFromParams),
+  async (req, res) => {
+    try {
+      const festival = await Festival.findById(req.params.id);
+      if (!festival) return res.status(404).send("Festival not found.");
+
+      // Prevent updates if the festival is ANNOUNCED
+      if (festival.state === "ANNOUNCED") {
+        return res.status(400).send("No updates allowed. Festival is announced.");
+      }
 
+      const stage = pickStageFields(req.body);
+      const invalid = validateStage(festival, stage);
+      if (invalid) return res.status(400).send(invalid);
 
-// Start Final Submission Phase
-app.post(
-  "/festivals/:id/start-final-submission",
+      festival.stages.push(stage);
+      await festival.save();
+
+      res.status(201).send(festival.stages[festival.stages.length - 1]);
+    } catch (error) {
+      res.status(400).send(error.message);
+    }
+  }
+);
+
+// Update Festival Stage
+app.put(
+  "/festivals/:id/stages/:stageId",
   authenticate,
-  authorize(["ORGANIZER"]),
+  authorize(["ORGANIZER"], festivalFromParams),
   async (req, res) => {
     try {
       const festival = await Festival.findById(req.params.id);
+      if (!festival) return res.status(404).send("Festival not found.");
 
-      if (!festival) {
-        return res.status(404).send("Festival not found.");
+      // Prevent updates if the festival is ANNOUNCED
+      if (festival.state === "ANNOUNCED") {
+        return res.status(400).send("No updates allowed. Festival is announced.");
       }
 
-      // Check if the festival is in the SCHEDULING state
-      if (festival.state !== "SCHEDULING") {
+      const stage = festival.stages.id(req.params.stageId);
+      if (!stage) return res.status(404).send("Stage not found.");
+
+      const updates = pickStageFields(req.body);
+      const invalid = validateStage(
+        festival,
+        { ...stage.toObject(), ...updates },
+        stage._id
+      );
+      if (invalid) return res.status(400).send(invalid);
+
+      stage.set(updates);
+      await festival.save();
+
+      res.status(200).send(stage);
+    } catch (error) {
+      res.status(400).send(error.message);
+    }
+  }
+);
+
+// Delete Festival Stage
+app.delete(
+  "/festivals/:id/stages/:stageId",
+  authenticate,
+  authorize(["ORGANIZER"], festivalFromParams),
+  async (req, res) => {
+    try {
+      const festival = await Festival.findById(req.params.id);
+      if (!festival) return res.status(404).send("Festival not found.");
+
+      // Prevent updates if the festival is ANNOUNCED
+      if (festival.state === "ANNOUNCED") {
+        return res.status(400).send("No updates allowed. Festival is announced.");
+      }
+
+      const stage = festival.stages.id(req.params.stageId);
+      if (!stage) return res.status(404).send("Stage not found.");
+
+      const targeting = await Performance.countDocuments({
+        festival: festival._id,
+        stage: stage._id,
+      });
+      if (targeting > 0) {
         return res
           .status(400)
-          .send(
-            "Festival must be in SCHEDULING state to start the final submission phase."
-          );
+          .send(`${targeting} performance(s) target this stage. Move them first.`);
       }
 
-      // Update the festival state to FINAL_SUBMISSION
-      festival.state = "FINAL_SUBMISSION";
+      stage.deleteOne();
       await festival.save();
 
-      res.status(200).send({
-        message: "Festival state updated to FINAL_SUBMISSION.",
-        festival,
-      });
+      res.status(200).send("Stage deleted successfully.");
     } catch (error) {
-      res.status(500).send(error.message);
+      res.status(400).send(error.message);
     }
   }
 );
 
-
-// Start Decision Phase
-app.post(
-  "/festivals/:id/start-decision",
+// Update Festival Phase Deadlines
+app.put(
+  "/festivals/:id/deadlines",
   authenticate,
-  authorize(["ORGANIZER"]),
+  authorize(["ORGANIZER"], festivalFromParams),
   async (req, res) => {
     try {
+      const { deadlines = {}, warningHours } = req.body;
+
       const festival = await Festival.findById(req.params.id);
+      if (!festival) return res.status(404).send("Festival not found.");
 
-      if (!festival) {
-        return res.status(404).send("Festival not found.");
+      if (festival.state === "ANNOUNCED") {
+        return res.status(400).send("No updates allowed. Festival is announced.");
       }
 
-      // Check if the festival is in the FINAL_SUBMISSION state
-      if (festival.state !== "FINAL_SUBMISSION") {
+      const unknownPhase = Object.keys(deadlines).find(
+        (phase) => !DEADLINE_PHASES.includes(phase)
+      );
+      if (unknownPhase) {
         return res
           .status(400)
-          .send(
-            "Festival must be in FINAL_SUBMISSION state to start the decision phase."
-          );
+          .send(`Deadlines can only be set for: ${DEADLINE_PHASES.join(", ")}.`);
       }
 
-      // Fetch all approved performances for the festival
-      const performances = await Performance.find({
-        festival: festival._id,
-        state: "APPROVED",
-      });
+      // Merge with existing deadlines; null clears a deadline
+      const merged = {};
+      for (const phase of DEADLINE_PHASES) {
+        const value = phase in deadlines ? deadlines[phase] : festival.deadlines?.[phase];
+        if (value) merged[phase] = new Date(value);
+      }
 
-      // Automatically reject approved performances that are not finally submitted
-      const rejectedPerformances = [];
-      for (const performance of performances) {
-        if (performance.state !== "FINAL_SUBMITTED") {
-          performance.state = "REJECTED";
-          await performance.save();
-          rejectedPerformances.push(performance.name);
+      if (Object.values(merged).some((date) => isNaN(date))) {
+        return res.status(400).send("Deadlines must be valid dates.");
+      }
+
+      // Deadlines of the current and upcoming phases must lie ahead, in order
+      const currentIndex = DEADLINE_PHASES.indexOf(festival.state);
+      let previous = null;
+      for (const phase of DEADLINE_PHASES.slice(currentIndex)) {
+        const date = merged[phase];
+        if (!date) continue;
+        if (phase in deadlines && date <= new Date()) {
+          return res.status(400).send(`Deadline for ${phase} must be in the future.`);
+        }
+        if (previous && date <= previous.date) {
+          return res
+            .status(400)
+            .send(`Deadline for ${phase} must be after the deadline for ${previous.phase}.`);
         }
+        previous = { phase, date };
       }
 
-      // Update the festival state to DECISION
-      festival.state = "DECISION";
+      festival.deadlines = merged;
+      if (warningHours !== undefined) festival.deadlineWarningHours = warningHours;
       await festival.save();
 
       res.status(200).send({
-        message: "Festival state updated to DECISION.",
-        rejectedPerformances,
-        festival,
+        deadlines: festival.deadlines,
+        deadlineWarningHours: festival.deadlineWarningHours,
       });
     } catch (error) {
-      res.status(500).send(error.message);
+      res.status(400).send(error.message);
     }
   }
 );
 
+// Deadline Scheduler
+// Hooks receive (festival, details). "warning" fires deadlineWarningHours
+// before a deadline, "transitioned" after an automatic phase change, and
+// "blocked" when a deadline passed but the transition guards are unmet.
+// Stored on app.locals so tests and integrations can add their own.
+const notifyOrganizersOfDeadline = async (festival, { phase, deadline }) => {
+  const organizers = await User.find({
+    _id: { $in: festival.organizers },
+    emailVerified: true,
+  });
+  for (const organizer of organizers) {
+    await sendMail({
+      to: organizer.email,
+      subject: `${festival.name}: ${phase} phase ends soon`,
+      text:
+        `The ${phase} phase of ${festival.name} ends on ${deadline.toISOString()}. ` +
+        `The festival will then move to the next phase automatically.`,
+    });
+  }
+};
 
+app.locals.deadlineHooks = {
+  warning: [notifyOrganizersOfDeadline],
+  transitioned: [],
+  blocked: [],
+};
 
-// Announce Festival
-app.post(
-  "/festivals/:id/announce",
-  authenticate,
-  authorize(["ORGANIZER"]),
-  async (req, res) => {
+const fireDeadlineHooks = async (event, festival, details) => {
+  for (const hook of app.locals.deadlineHooks[event] || []) {
     try {
-      const festival = await Festival.findById(req.params.id);
+      await hook(festival, details);
+    } catch (error) {
+      console.error(`Deadline ${event} hook failed:`, error.message);
+    }
+  }
+};
 
-      if (!festival) {
-        return res.status(404).send("Festival not found.");
+// Record a deadline event once; returns false if it was already recorded.
+// Keys include the deadline, so moving a deadline re-arms its events.
+const claimDeadlineEvent = async (festival, key) => {
+  const result = await Festival.updateOne(
+    { _id: festival._id, deadlineEventsSent: { $ne: key } },
+    { $addToSet: { deadlineEventsSent: key } }
+  );
+  return result.modifiedCount === 1;
+};
+
+// One pass of the scheduler. All state lives in the database, so a restart
+// picks up where it left off: transitions whose effects were interrupted are
+// finished first, and running a pass twice does no harm.
+const runDeadlineScheduler = async (now = new Date()) => {
+  await resumePendingEffects();
+
+  for (const phase of DEADLINE_PHASES) {
+    const transition = FESTIVAL_TRANSITIONS.find((entry) => entry.from === phase);
+    const festivals = await Festival.find({
+      state: phase,
+      [`deadlines.${phase}`]: { $ne: null },
+      archivedAt: null,
+    });
+
+    for (const festival of festivals) {
+      const deadline = festival.deadlines[phase];
+      const eventKey = `${phase}:${deadline.toISOString()}`;
+
+      if (deadline > now) {
+        const warnAt = deadline - festival.deadlineWarningHours * 60 * 60 * 1000;
+        if (warnAt <= now && (await claimDeadlineEvent(festival, `warning:${eventKey}`))) {
+          await fireDeadlineHooks("warning", festival, { phase, deadline });
+        }
+        continue;
       }
 
-      // Check if the festival is in the DECISION state
-      if (festival.state !== "DECISION") {
-        return res
-          .status(400)
-          .send(
-            "Festival must be in DECISION state to be announced."
+      const outcome = await runFestivalTransition(festival, transition.action, {
+        automatic: true,
+      });
+      if (outcome.error) {
+        if (
+          outcome.error.unmet &&
+          (await claimDeadlineEvent(festival, `blocked:${eventKey}`))
+        ) {
+          console.log(
+            `Deadline for ${festival.name} (${phase}) passed but: ${outcome.error.unmet.join(" ")}`
           );
+          await fireDeadlineHooks("blocked", festival, {
+            phase,
+            deadline,
+            unmet: outcome.error.unmet,
+          });
+        }
+        continue;
       }
 
-      // Update the festival state to ANNOUNCED
-      festival.state = "ANNOUNCED";
-      await festival.save();
-
-      res.status(200).send({
-        message: "Festival state updated to ANNOUNCED. The festival is now locked and ready for public announcement.",
-        festival,
+      console.log(`Festival ${festival.name} moved to ${transition.to} (deadline passed).`);
+      await fireDeadlineHooks("transitioned", outcome.festival, {
+        phase,
+        deadline,
+        to: transition.to,
+        ...outcome.effects,
       });
+    }
+  }
+};
+
+const startDeadlineScheduler = () => {
+  let running = false;
+  const timer = setInterval(async () => {
+    // Skip a tick instead of overlapping a slow run
+    if (running) return;
+    running = true;
+    try {
+      await runDeadlineScheduler();
     } catch (error) {
-      res.status(500).send(error.message);
+      console.error("Deadline scheduler failed:", error.message);
+    } finally {
+      running = false;
+    }
+  }, SCHEDULER_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+app.locals.runDeadlineScheduler = runDeadlineScheduler;
+
+// Festival fields shown to callers: organizers by username only. Anonymous
+// callers get no _id and nothing that names organizers by id or carries
+// their rollback reasons (stateHistory, archivedBy).
+const projectFestival = (festival, authenticated) => {
+  const { deadlineEventsSent, ...details } = festival.toObject();
+  const modifiedFestival = {
+    ...details,
+    organizers: festival.organizers.map((organizer) => ({
+      username: organizer.username,
+    })),
+  };
+  if (authenticated) return modifiedFestival;
+
+  const { _id, stateHistory, archivedBy, ...festivalDetails } = modifiedFestival;
+  return festivalDetails;
+};
+
+// List Festivals
+app.get("/festivals", allowApiKey("festivals:read"), async (req, res) => {
+  try {
+    const { state, from, to, venue, q, sort, cursor, archived } = req.query;
+
+    const order = parseSort(sort, ["name", "dates.start", "createdAt"], "dates.start");
+    if (!order) {
+      return res.status(400).send("Sort must be one of name, dates.start, createdAt.");
+    }
+
+    const filter = {};
+    const conditions = [];
+
+    // e.g. ?state=SUBMISSION for festivals open to submissions
+    if (state) filter.state = { $in: state.split(",") };
+
+    // Festivals overlapping the [from, to] range
+    if (from || to) {
+      const fromDate = from && new Date(from);
+      const toDate = to && new Date(to);
+      if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+        return res.status(400).send("from and to must be valid dates.");
+      }
+      if (fromDate) conditions.push({ "dates.end": { $gte: fromDate } });
+      if (toDate) conditions.push({ "dates.start": { $lte: toDate } });
+    }
+
+    if (venue) {
+      filter.venue = { $regex: escapeRegex(venue), $options: "i" };
     }
+
+    // Every word must appear in the name or the description
+    if (q) {
+      q.split(" ")
+        .filter(Boolean)
+        .forEach((word) => {
+          const pattern = { $regex: escapeRegex(word), $options: "i" };
+          conditions.push({ $or: [{ name: pattern }, { description: pattern }] });
+        });
+    }
+    if (conditions.length > 0) filter.$and = conditions;
+
+    // Check for Authentication
+    const user = await identifyOptionalUser(req);
+    if (user === false) {
+      return res.status(403).send("Access denied. Invalid token.");
+    }
+
+    // Archived festivals are only listed on request, to signed-in callers
+    filter.archivedAt = user && archived === "true" ? { $ne: null } : null;
+
+    const { items, nextCursor } = await findPage(
+      (pageFilter) => Festival.find(pageFilter).populate("organizers", "username"),
+      filter,
+      { ...order, limit: parseLimit(req.query.limit), cursor }
+    );
+
+    res.status(200).send({
+      festivals: items.map((festival) => projectFestival(festival, Boolean(user))),
+      nextCursor,
+    });
+  } catch (error) {
+    res.status(400).send(error.message);
   }
-);
+});
+
 // Get Festival by id
-app.get("/festivals/:id", async (req, res) => {
+app.get("/festivals/:id", allowApiKey("festivals:read"), async (req, res) => {
   try {
     console.log("Fetching festival with ID:", req.params.id); // Debug
 
-    // Validate ObjectId
+    // Validate ObjectId
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).send("Invalid festival ID format.");
+    }
+
+    // Fetch festival by ID
+    const festival = await Festival.findById(req.params.id).populate(
+      "organizers",
+      "username"
+    );
+
+    if (!festival) {
+      return res.status(404).send("Festival not found.");
+    }
+
+    // Check for Authentication
+    const user = await identifyOptionalUser(req);
+    if (user === false) {
+      return res.status(403).send("Access denied. Invalid token.");
+    }
+
+    // Return all details except the ID if no valid authentication is provided
+    const modifiedFestival = projectFestival(festival, Boolean(user));
+    console.log("Fetched Festival:", modifiedFestival); // Debug
+    res.status(200).send(modifiedFestival);
+  } catch (error) {
+    console.error("Error fetching festival:", error); // Debug
+    res.status(500).send("An error occurred while fetching the festival.");
+  }
+});
+
+// Escape a value for a CSV cell
+const csvCell = (value) => {
+  const text = value == null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Escape and fold iCalendar content lines (RFC 5545)
+const icsText = (value) =>
+  String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+const icsDate = (date) => date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+const icsLine = (line) => line.match(/.{1,73}/g).join("\r\n ");
+
+// Get Festival Lineup (JSON, or ?format=ics / ?format=csv)
+app.get("/festivals/:id/lineup", allowApiKey("festivals:read"), async (req, res) => {
+  try {
     if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
       return res.status(400).send("Invalid festival ID format.");
     }
 
-    // Fetch festival by ID
-    const festival = await Festival.findById(req.params.id).populate(
-      "organizers",
-      "username"
-    );
+    const format = req.query.format || "json";
+    if (!["json", "ics", "csv"].includes(format)) {
+      return res.status(400).send("Format must be one of json, ics or csv.");
+    }
 
-    if (!festival) {
-      return res.status(404).send("Festival not found.");
+    const festival = await Festival.findById(req.params.id);
+    if (!festival) return res.status(404).send("Festival not found.");
+
+    const viewer = await identifyOptionalUser(req);
+    if (viewer === false) {
+      return res.status(403).send("Access denied. Invalid token.");
     }
 
-    // Modify organizers to remove _id
-    const modifiedFestival = {
-      ...festival.toObject(),
-      organizers: festival.organizers.map((organizer) => ({
-        username: organizer.username,
-      })),
-    };
+    // Until the announcement only the festival's organizers can preview it
+    if (festival.state !== "ANNOUNCED") {
+      const canPreview =
+        viewer &&
+        (viewer.role === "ADMIN" ||
+          festival.organizers.some((id) => id.equals(viewer._id)));
+      if (!canPreview) {
+        return res.status(404).send("The lineup has not been announced yet.");
+      }
+    }
 
-    // Check for Authentication
-    const token = req.headers.authorization?.split(" ")[1];
-    if (!token) {
-      // Return all details except the ID if no authentication token is provided
-      const { _id, ...festivalDetails } = modifiedFestival;
-      return res.status(200).send(festivalDetails);
+    const performances = await Performance.find({
+      festival: festival._id,
+      state: "SCHEDULED",
+    }).sort({ "scheduledSlot.start": 1, name: 1 });
+
+    // The creator and accepted band members of each performance
+    const artistIdsOf = (performance) => [
+      ...new Set(
+        [performance.creator, ...acceptedBandMemberIds(performance)].map(String)
+      ),
+    ];
+
+    // Artists are shown by their profile display name where they have one
+    const users = await User.find({
+      _id: { $in: performances.flatMap(artistIdsOf) },
+      deletedAt: null,
+    }).select("username");
+    const profiles = await ArtistProfile.find({
+      user: { $in: users.map((user) => user._id) },
+    }).select("user displayName");
+    const displayNames = new Map(
+      users.map((user) => {
+        const profile = profiles.find((entry) => entry.user.equals(user._id));
+        return [user._id.toString(), profile?.displayName || user.username];
+      })
+    );
+
+    const entries = performances.map((performance) => {
+      const stage = performance.stage ? festival.stages.id(performance.stage) : null;
+      const artists = artistIdsOf(performance)
+        .map((id) => displayNames.get(id))
+        .filter(Boolean);
+      return {
+        id: performance._id,
+        name: performance.name,
+        artists,
+        genre: performance.genre,
+        stage: stage ? { _id: stage._id, name: stage.name } : null,
+        start: performance.scheduledSlot?.start || null,
+        end: performance.scheduledSlot?.end || null,
+      };
+    });
+
+    const filename = festival.name.replace(/[^\w-]+/g, "-").toLowerCase();
+
+    if (format === "csv") {
+      const rows = [
+        ["date", "start", "end", "stage", "performance", "artists", "genre"],
+        ...entries.map((entry) => [
+          entry.start ? entry.start.toISOString().slice(0, 10) : "",
+          entry.start ? entry.start.toISOString() : "",
+          entry.end ? entry.end.toISOString() : "",
+          entry.stage?.name,
+          entry.name,
+          entry.artists.join("; "),
+          entry.genre,
+        ]),
+      ];
+      res.set("Content-Type", "text/csv; charset=utf-8");
+      res.set("Content-Disposition", `attachment; filename="${filename}-lineup.csv"`);
+      return res
+        .status(200)
+        .send(rows.map((row) => row.map(csvCell).join(",")).join("\r\n") + "\r\n");
     }
 
-    try {
-      // Verify the token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (format === "ics") {
+      const stamp = icsDate(new Date());
+      const lines = [
+        "BEGIN:VCALENDAR",
+        "VERSION:2.0",
+        "PRODID:-//Festival Management//Lineup//EN",
+        "CALSCALE:GREGORIAN",
+        `X-WR-CALNAME:${icsText(festival.name)}`,
+      ];
+      // Performances without a time slot cannot appear in a calendar
+      entries
+        .filter((entry) => entry.start)
+        .forEach((entry) => {
+          const location = [entry.stage?.name, festival.venue].filter(Boolean).join(", ");
+          lines.push(
+            "BEGIN:VEVENT",
+            `UID:${entry.id}@${festival._id}`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART:${icsDate(entry.start)}`,
+            ...(entry.end ? [`DTEND:${icsDate(entry.end)}`] : []),
+            `SUMMARY:${icsText(entry.name)}`,
+            `DESCRIPTION:${icsText(
+              [entry.artists.join(", "), entry.genre].filter(Boolean).join(" - ")
+            )}`,
+            ...(location ? [`LOCATION:${icsText(location)}`] : []),
+            "END:VEVENT"
+          );
+        });
+      lines.push("END:VCALENDAR");
+      res.set("Content-Type", "text/calendar; charset=utf-8");
+      res.set("Content-Disposition", `attachment; filename="${filename}-lineup.ics"`);
+      return res.status(200).send(lines.map(icsLine).join("\r\n") + "\r\n");
+    }
 
-      // Find user in the database
-      const user = await User.findById(decoded._id);
-      if (!user || user.accountStatus === "INACTIVE") {
-        return res.status(403).send("Access denied. Invalid token.");
+    // Group by day, then by stage; performances without a slot come last
+    const days = [];
+    entries.forEach((entry) => {
+      const date = entry.start ? entry.start.toISOString().slice(0, 10) : null;
+      let day = days.find((item) => item.date === date);
+      if (!day) {
+        day = { date, stages: [] };
+        days.push(day);
       }
+      const stageId = entry.stage ? entry.stage._id.toString() : null;
+      let stage = day.stages.find(
+        (item) => (item.stage ? item.stage._id.toString() : null) === stageId
+      );
+      if (!stage) {
+        stage = { stage: entry.stage, performances: [] };
+        day.stages.push(stage);
+      }
+      const { stage: _stage, ...performance } = entry;
+      stage.performances.push(performance);
+    });
+    days.sort((a, b) => (a.date === null) - (b.date === null));
 
-      // Return full festival details
-      console.log("Fetched Festival:", modifiedFestival); // Debug
-      res.status(200).send(modifiedFestival);
-    } catch (error) {
-      // Invalid token, return all details except the ID
-      const { _id, ...festivalDetails } = modifiedFestival;
-      console.log("Invalid token provided, returning limited data.");
-      return res.status(200).send(festivalDetails);
-    }
+    res.status(200).send({
+      festival: { name: festival.name, venue: festival.venue, dates: festival.dates },
+      days,
+    });
   } catch (error) {
-    console.error("Error fetching festival:", error); // Debug
-    res.status(500).send("An error occurred while fetching the festival.");
+    res.status(500).send(error.message);
   }
 });
 
-
-// Start Assignment Phase
-app.post(
-  "/festivals/:id/start-assignment",
-  authenticate,
-  authorize(["ORGANIZER"]),
-  async (req, res) => {
-    try {
-      const festival = await Festival.findById(req.params.id);
-      if (!festival) return res.status(404).send("Festival not found.");
-      if (festival.state !== "SUBMISSION") {
-        return res
-          .status(400)
-          .send("Festival must be in SUBMISSION state to start assignment.");
+// Performance content kept in revisions and compared by the diff endpoint
+const REVISION_FIELDS = [
+  "name",
+  "description",
+  "genre",
+  "duration",
+  "bandMembers",
+  "stage",
+  "setlist",
+  "preferredRehearsalSlots",
+  "preferredPerformanceSlots",
+];
+
+// Store the current content of a performance as its next revision; REVIEW
+// revisions also keep the score and comments of the review
+const recordRevision = async (performance, action, by, review) => {
+  const snapshot = Object.fromEntries(
+    REVISION_FIELDS.map((field) => {
+      // Band members are kept as the ids of the accepted members
+      if (field === "bandMembers") {
+        return [field, acceptedBandMemberIds(performance).map(String)];
       }
-      festival.state = "ASSIGNMENT";
-      await festival.save();
-      res.status(200).send(festival);
+      const value = performance.get(field);
+      return [field, value?.toObject ? value.toObject() : value ?? null];
+    })
+  );
+
+  // Two concurrent writers can pick the same version; the unique index
+  // rejects the second one, which then retries with the next number
+  for (let attempt = 0; ; attempt += 1) {
+    const latest = await PerformanceRevision.findOne({ performance: performance._id })
+      .sort({ version: -1 })
+      .select("version");
+    try {
+      return await PerformanceRevision.create({
+        performance: performance._id,
+        version: (latest?.version || 0) + 1,
+        action,
+        state: performance.state,
+        snapshot,
+        review,
+        by,
+      });
     } catch (error) {
-      res.status(400).send(error);
+      if (error.code !== 11000 || attempt >= 2) throw error;
     }
   }
-);
+};
 
-// Start Review Phase
-app.post(
-  "/festivals/:id/start-review",
-  authenticate,
-  authorize(["ORGANIZER"]),
-  async (req, res) => {
-    try {
-      const festival = await Festival.findById(req.params.id);
-      if (!festival) return res.status(404).send("Festival not found.");
-      if (festival.state !== "ASSIGNMENT") {
-        return res
-          .status(400)
-          .send("Festival must be in ASSIGNMENT state to start review.");
-      }
-      festival.state = "REVIEW";
-      await festival.save();
-      res.status(200).send(festival);
-    } catch (error) {
-      res.status(400).send(error);
+// Check a performance against its festival's submission limits. `checks`
+// picks which limits apply. Every performance of the festival except rejected
+// ones counts towards the quotas, whether it is created, updated or submitted.
+// Returns { limit, message } for the first limit hit, or null.
+const SUBMISSION_LIMIT_CHECKS = ["duration", "total", "creator", "genre"];
+
+const findSubmissionLimitViolation = async (
+  festival,
+  performance,
+  { checks = SUBMISSION_LIMIT_CHECKS } = {}
+) => {
+  const limits = festival.submissionLimits || {};
+  const { duration, genre } = performance;
+
+  if (checks.includes("duration")) {
+    if (duration != null && !(duration > 0)) {
+      return { limit: "duration", message: "Duration must be a positive number of minutes." };
+    }
+    if (limits.minDuration != null && !(duration >= limits.minDuration)) {
+      return {
+        limit: "minDuration",
+        message: `Duration must be at least ${limits.minDuration} minutes.`,
+      };
+    }
+    if (limits.maxDuration != null && !(duration <= limits.maxDuration)) {
+      return {
+        limit: "maxDuration",
+        message: `Duration must be at most ${limits.maxDuration} minutes.`,
+      };
     }
   }
-);
-
-// Start Scheduling Phase
-app.post(
-  "/festivals/:id/start-scheduling",
-  authenticate,
-  authorize(["ORGANIZER"]),
-  async (req, res) => {
-    try {
-      const festival = await Festival.findById(req.params.id);
-
-      if (!festival) {
-        return res.status(404).send("Festival not found.");
-      }
 
-      // Check if the festival is in the REVIEW state
-      if (festival.state !== "REVIEW") {
-        return res
-          .status(400)
-          .send(
-            "Festival must be in REVIEW state to start the scheduling phase."
-          );
-      }
+  const others = {
+    festival: festival._id,
+    _id: { $ne: performance._id },
+    state: { $ne: "REJECTED" },
+  };
+
+  if (checks.includes("total") && limits.maxSubmissions != null) {
+    const count = await Performance.countDocuments(others);
+    if (count >= limits.maxSubmissions) {
+      return {
+        limit: "maxSubmissions",
+        message: `The festival accepts at most ${limits.maxSubmissions} submissions.`,
+      };
+    }
+  }
 
-      // Update the festival state to SCHEDULING
-      festival.state = "SCHEDULING";
-      await festival.save();
+  if (checks.includes("creator") && limits.maxPerCreator != null) {
+    const count = await Performance.countDocuments({
+      ...others,
+      creator: performance.creator,
+    });
+    if (count >= limits.maxPerCreator) {
+      return {
+        limit: "maxPerCreator",
+        message: `The festival accepts at most ${limits.maxPerCreator} submissions per artist.`,
+      };
+    }
+  }
 
-      res.status(200).send({
-        message: "Festival state updated to SCHEDULING.",
-        festival,
-      });
-    } catch (error) {
-      res.status(500).send(error.message);
+  const genreCap = genre ? limits.genreCaps?.get(genre) : undefined;
+  if (checks.includes("genre") && genreCap != null) {
+    const count = await Performance.countDocuments({ ...others, genre });
+    if (count >= genreCap) {
+      return {
+        limit: "genreCaps",
+        message: `The festival accepts at most ${genreCap} submissions in ${genre}.`,
+      };
     }
   }
-);
 
-// Start Submission Phase
-app.post(
-  "/festivals/:id/start-submission",
-  authenticate,
-  authorize(["ORGANIZER"]),
-  async (req, res) => {
-    try {
-      const festival = await Festival.findById(req.params.id);
+  return null;
+};
 
-      if (!festival) return res.status(404).send("Festival not found.");
-      if (festival.state !== "CREATED") {
-        return res
-          .status(400)
-          .send("Festival must be in CREATED state to start submissions.");
-      }
+// The quotas count existing performances, so the count and the save that
+// relies on it must not interleave with another submission to the same
+// festival. `fn` runs while holding a short lease on the festival; the lease
+// expires by itself if this process stops. Returns fn's result, or { error }
+// if the lease stays taken.
+const QUOTA_LEASE_MS = 10 * 1000;
+const QUOTA_LEASE_ATTEMPTS = 20;
+const QUOTA_LEASE_RETRY_MS = 100;
+
+const hasQuotaLimits = (festival) => {
+  const limits = festival.submissionLimits || {};
+  return (
+    limits.maxSubmissions != null ||
+    limits.maxPerCreator != null ||
+    Boolean(limits.genreCaps?.size)
+  );
+};
 
-      festival.state = "SUBMISSION";
-      await festival.save();
-      res.status(200).send(festival);
-    } catch (error) {
-      res.status(400).send(error);
+const withQuotaLease = async (festival, fn) => {
+  if (!hasQuotaLimits(festival)) return fn();
+
+  const token = new mongoose.Types.ObjectId();
+  for (let attempt = 1; ; attempt++) {
+    const now = new Date();
+    const claimed = await Festival.updateOne(
+      {
+        _id: festival._id,
+        $or: [{ quotaLeaseUntil: null }, { quotaLeaseUntil: { $lt: now } }],
+      },
+      {
+        quotaLeaseToken: token,
+        quotaLeaseUntil: new Date(now.getTime() + QUOTA_LEASE_MS),
+      }
+    );
+    if (claimed.modifiedCount) break;
+    if (attempt >= QUOTA_LEASE_ATTEMPTS) {
+      return {
+        error: { status: 409, message: "The festival is busy with other submissions. Try again." },
+      };
     }
+    await new Promise((resolve) => setTimeout(resolve, QUOTA_LEASE_RETRY_MS));
   }
-);
+
+  try {
+    return await fn();
+  } finally {
+    await Festival.updateOne(
+      { _id: festival._id, quotaLeaseToken: token },
+      { $unset: { quotaLeaseToken: 1, quotaLeaseUntil: 1 } }
+    );
+  }
+};
 
 // Create Performance
 app.post("/performances", authenticate, async (req, res) => {
   try {
-    const { festival, name, description, genre, duration, bandMembers } =
+    const { festival, name, description, genre, duration, bandMembers, stage } =
       req.body;
 
     // Check festival existence and state
@@ -828,6 +4947,12 @@ app.post("/performances", authenticate, async (req, res) => {
     if (!festivalDoc) {
       return res.status(404).send("Festival not found.");
     }
+    if (festivalDoc.archivedAt) return sendFestivalArchived(res);
+
+    // A targeted stage must belong to the festival
+    if (stage && !festivalDoc.stages.id(stage)) {
+      return res.status(400).send("Stage not found in this festival.");
+    }
 
     // Ensure unique performance name within the festival
     const existingPerformance = await Performance.findOne({ festival, name });
@@ -837,17 +4962,50 @@ app.post("/performances", authenticate, async (req, res) => {
         .send("Performance name must be unique within the festival.");
     }
 
+    // Band members given by username are invited, not added outright
+    const memberUsernames = [...new Set(bandMembers || [])];
+    const invitees = await User.find({
+      username: { $in: memberUsernames },
+      deletedAt: null,
+      isServiceAccount: false,
+    });
+    const unknown = memberUsernames.filter(
+      (username) => !invitees.some((invitee) => invitee.username === username)
+    );
+    if (unknown.length > 0) {
+      return res.status(400).send(`Unknown band members: ${unknown.join(", ")}.`);
+    }
+    if (invitees.some((invitee) => invitee._id.toString() === req.user._id)) {
+      return res.status(400).send("The creator cannot be invited as a band member.");
+    }
+
     const performance = new Performance({
       festival,
       name,
       description,
       genre,
       duration,
-      bandMembers,
+      stage,
       creator: req.user._id,
     });
 
-    await performance.save();
+    for (const invitee of invitees) {
+      await inviteBandMember(performance, invitee, req.user._id);
+    }
+
+    const outcome = await withQuotaLease(festivalDoc, async () => {
+      const violation = await findSubmissionLimitViolation(festivalDoc, performance);
+      if (violation) return { error: { status: 400, message: violation } };
+      await performance.save();
+      return {};
+    });
+    if (outcome.error) return res.status(outcome.error.status).send(outcome.error.message);
+
+    await recordRevision(performance, "CREATE", req.user._id);
+    for (const invitee of invitees) {
+      await sendBandInvitation(performance, invitee);
+    }
+    await grantMembership(req.user._id, festivalDoc._id, "ARTIST", req.user._id);
     res.status(201).send(performance);
   } catch (error) {
     res.status(400).send(error);
@@ -867,23 +5025,82 @@ app.post("/performances/:id/submit", authenticate, async (req, res) => {
     }
 
     const festival = await Festival.findById(performance.festival);
+    if (festival.archivedAt) return sendFestivalArchived(res);
     if (festival.state !== "SUBMISSION") {
       return res.status(400).send("Festival is not in submission phase.");
     }
 
-    performance.state = "SUBMITTED";
-    await performance.save();
+    // Limits may have been tightened since the performance was created
+    const outcome = await withQuotaLease(festival, async () => {
+      const violation = await findSubmissionLimitViolation(festival, performance);
+      if (violation) return { error: { status: 400, message: violation } };
+      setPerformanceState(performance, "SUBMITTED", festival.state, { by: req.user._id });
+      await performance.save();
+      return {};
+    });
+    if (outcome.error) return res.status(outcome.error.status).send(outcome.error.message);
+
+    await recordRevision(performance, "SUBMIT", req.user._id);
     res.status(200).send(performance);
   } catch (error) {
     res.status(400).send(error);
   }
 });
 
+// Mean, median and spread (max - min) of review scores
+const summarizeScores = (scores) => {
+  if (scores.length === 0) return null;
+  const sorted = [...scores].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  const median =
+    sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  const mean = sorted.reduce((sum, score) => sum + score, 0) / sorted.length;
+  return {
+    count: sorted.length,
+    mean: Math.round(mean * 100) / 100,
+    median,
+    spread: sorted[sorted.length - 1] - sorted[0],
+  };
+};
+
+const getReviewAggregate = async (performanceId) => {
+  const reviews = await Review.find({ performance: performanceId, status: "SUBMITTED" });
+  return summarizeScores(reviews.map((review) => review.score));
+};
+
+// Flag reviews whose score is far from the median of the other submitted
+// reviews, and mark the performance while any such disagreement exists
+const refreshReviewDisagreement = async (performance, festival) => {
+  const reviews = await Review.find({ performance: performance._id, status: "SUBMITTED" });
+
+  for (const review of reviews) {
+    const others = summarizeScores(
+      reviews.filter((other) => !other._id.equals(review._id)).map((other) => other.score)
+    );
+    const flagged =
+      Boolean(others) &&
+      Math.abs(review.score - others.median) >= festival.reviewDisagreementThreshold;
+    if (review.flaggedForDiscussion !== flagged) {
+      review.flaggedForDiscussion = flagged;
+      await review.save();
+    }
+  }
+
+  const disagreement = reviews.some((review) => review.flaggedForDiscussion);
+  await Performance.updateOne(
+    { _id: performance._id },
+    disagreement
+      ? { $addToSet: { flags: "REVIEW_DISAGREEMENT" } }
+      : { $pull: { flags: "REVIEW_DISAGREEMENT" } }
+  );
+  return disagreement;
+};
+
 // Review Performance
 app.post(
   "/performances/:id/review",
   authenticate,
-  authorize(["STAFF", "ORGANIZER"]), // Προστέθηκε και ο ρόλος ORGANIZER
+  authorize(["STAFF", "ORGANIZER"], festivalFromPerformance), // Προστέθηκε και ο ρόλος ORGANIZER
   async (req, res) => {
     try {
       const performance = await Performance.findById(req.params.id);
@@ -897,42 +5114,132 @@ app.post(
           .send("Performance must be in SUBMITTED state to be reviewed.");
       }
 
-      // Check if the logged-in user is the assigned STAFF or ORGANIZER
-      if (
-        performance.staffAssigned.toString() !== req.user._id &&
-        req.user.role !== "ORGANIZER"
-      ) {
+      // Only assigned reviewers can review; organizers have to be assigned too
+      const assignment = await Review.findOne({
+        performance: performance._id,
+        reviewer: req.user._id,
+      });
+      if (!assignment) {
         return res
           .status(403)
-          .send("Only the assigned staff member or an organizer can review this performance.");
+          .send("Only an assigned reviewer can review this performance.");
       }
 
       const { score, comments } = req.body;
 
-      if (!score || !comments) {
+      if (score == null || score === "" || !comments) {
         return res
           .status(400)
           .send("Score and comments are required for review.");
       }
+      if (!(Number(score) >= 0 && Number(score) <= REVIEW_SCORE_MAX)) {
+        return res
+          .status(400)
+          .send(`Score must be a number from 0 to ${REVIEW_SCORE_MAX}.`);
+      }
 
-      performance.review = { score, comments };
-      performance.state = "REVIEWED";
+      const festival = await Festival.findById(performance.festival).select(
+        "state requiredReviews reviewDisagreementThreshold"
+      );
+
+      // Reviewers can revise their review while the performance is SUBMITTED
+      const review = await Review.findByIdAndUpdate(
+        assignment._id,
+        {
+          status: "SUBMITTED",
+          score: Number(score),
+          comments,
+          submittedAt: new Date(),
+        },
+        { new: true, runValidators: true }
+      );
+      await recordRevision(performance, "REVIEW", req.user._id, {
+        score: review.score,
+        comments: review.comments,
+      });
+      const disagreement = await refreshReviewDisagreement(performance, festival);
 
-      await performance.save();
+      // The performance counts as reviewed once enough reviews are in
+      const reviewsReceived = await Review.countDocuments({
+        performance: performance._id,
+        status: "SUBMITTED",
+      });
+      if (reviewsReceived >= festival.requiredReviews) {
+        setPerformanceState(performance, "REVIEWED", festival.state, { by: req.user._id });
+        await performance.save();
+      }
 
-      res.status(200).send(performance);
+      res.status(200).send({
+        message:
+          performance.state === "REVIEWED"
+            ? "Review submitted. The performance is now reviewed."
+            : `Review submitted. ${reviewsReceived} of ${festival.requiredReviews} reviews received.`,
+        review,
+        flaggedForDiscussion: disagreement,
+        performance: await Performance.findById(performance._id),
+      });
     } catch (error) {
       res.status(400).send(error);
     }
   }
 );
 
+// Review scores of every reviewer are visible to organizers (and admins)
+// once the festival has reached SCHEDULING; before that, and for everyone
+// else, reviewers only see their own
+const REVIEW_SCORE_PHASES = ["SCHEDULING", "FINAL_SUBMISSION", "DECISION", "ANNOUNCED"];
+
+const canSeeAllReviewScores = (req, festival) =>
+  (req.festivalRoles.includes("ORGANIZER") || req.user.role === "ADMIN") &&
+  REVIEW_SCORE_PHASES.includes(festival.state);
+
+// List Reviews of a Performance. Scores and their aggregate are shown to
+// organizers once the festival has reached SCHEDULING; reviewers see their own.
+app.get(
+  "/performances/:id/reviews",
+  authenticate,
+  authorize(["ADMIN", "ORGANIZER", "STAFF"], festivalFromPerformance),
+  async (req, res) => {
+    try {
+      const performance = await Performance.findById(req.params.id);
+      if (!performance) return res.status(404).send("Performance not found.");
+
+      const festival = await Festival.findById(performance.festival).select(
+        "state requiredReviews"
+      );
+      const isOrganizer =
+        req.festivalRoles.includes("ORGANIZER") || req.user.role === "ADMIN";
+
+      const filter = { performance: performance._id };
+      if (!isOrganizer) filter.reviewer = req.user._id;
+      const reviews = await Review.find(filter)
+        .populate("reviewer", "username")
+        .sort({ assignedAt: 1 });
+
+      const scoresVisible = canSeeAllReviewScores(req, festival);
+      const canSeeScores = (review) =>
+        scoresVisible || review.reviewer?._id.toString() === req.user._id.toString();
+
+      res.status(200).send({
+        requiredReviews: festival.requiredReviews,
+        reviews: reviews.map((review) => {
+          if (canSeeScores(review)) return review;
+          const { score, comments, flaggedForDiscussion, ...assignment } = review.toObject();
+          return assignment;
+        }),
+        aggregate: scoresVisible ? await getReviewAggregate(performance._id) : undefined,
+      });
+    } catch (error) {
+      res.status(500).send(error.message);
+    }
+  }
+);
 
 // Approve Performance
 app.post(
   "/performances/:id/approve",
   authenticate,
-  authorize(["ORGANIZER"]),
+  authorize(["ORGANIZER"], festivalFromPerformance),
   async (req, res) => {
     try {
       // Βρες το performance με βάση το ID
@@ -953,7 +5260,7 @@ app.post(
       }
 
       // Ενημέρωση κατάστασης του performance
-      performance.state = "APPROVED";
+      setPerformanceState(performance, "APPROVED", festival.state, { by: req.user._id });
       await performance.save();
 
       res.status(200).send({
@@ -973,6 +5280,14 @@ app.post("/performances/:id/final-submit", authenticate, async (req, res) => {
     const performance = await Performance.findById(req.params.id);
 
     if (!performance) return res.status(404).send("Performance not found.");
+    if (await isFestivalArchived(performance.festival)) {
+      return sendFestivalArchived(res);
+    }
+    if (!canEditPerformance(performance, req.user._id)) {
+      return res
+        .status(403)
+        .send("Only the creator or an accepted band member can submit the final version.");
+    }
 
     // Check if the performance is in the right state for final submission
     if (performance.state !== "APPROVED") {
@@ -995,9 +5310,13 @@ app.post("/performances/:id/final-submit", authenticate, async (req, res) => {
     performance.setlist = setlist;
     performance.preferredRehearsalSlots = preferredRehearsalSlots;
     performance.preferredPerformanceSlots = preferredPerformanceSlots;
-    performance.state = "FINAL_SUBMITTED";
+    const festival = await Festival.findById(performance.festival).select("state");
+    setPerformanceState(performance, "FINAL_SUBMITTED", festival.state, {
+      by: req.user._id,
+    });
 
     await performance.save();
+    await recordRevision(performance, "FINAL_SUBMIT", req.user._id);
 
     res.status(200).send(performance);
   } catch (error) {
@@ -1005,62 +5324,295 @@ app.post("/performances/:id/final-submit", authenticate, async (req, res) => {
   }
 });
 
+// Fields of a performance that can be changed through PUT /performances/:id,
+// by who, in which performance states and in which festival phases. EDITOR
+// stands for the creator and accepted band members. Everything else (state,
+// creator, band members, ...) only changes through its own endpoint.
+// Organizers can edit in every phase before the announcement.
+const ORGANIZER_EDIT_PHASES = [
+  "CREATED",
+  "SUBMISSION",
+  "ASSIGNMENT",
+  "REVIEW",
+  "SCHEDULING",
+  "FINAL_SUBMISSION",
+  "DECISION",
+];
+
+const PERFORMANCE_FIELD_POLICY = [
+  {
+    roles: ["EDITOR"],
+    states: ["CREATED"],
+    phases: ["CREATED", "SUBMISSION"],
+    fields: ["name", "description", "genre", "duration", "stage"],
+  },
+  {
+    roles: ["EDITOR"],
+    states: ["APPROVED", "FINAL_SUBMITTED"],
+    phases: ["FINAL_SUBMISSION"],
+    fields: ["setlist", "preferredRehearsalSlots", "preferredPerformanceSlots"],
+  },
+  {
+    roles: ["ORGANIZER"],
+    states: ["CREATED", "SUBMITTED", "REVIEWED", "APPROVED", "FINAL_SUBMITTED"],
+    phases: ORGANIZER_EDIT_PHASES,
+    fields: ["name", "description", "genre", "duration", "stage"],
+  },
+  {
+    // A scheduled performance keeps the stage and slot checked by /accept
+    roles: ["ORGANIZER"],
+    states: ["SCHEDULED"],
+    phases: ORGANIZER_EDIT_PHASES,
+    fields: ["name", "description", "genre"],
+  },
+];
+
+const POLICY_FIELDS = [
+  ...new Set(PERFORMANCE_FIELD_POLICY.flatMap((rule) => rule.fields)),
+];
+
+// Split the requested fields into the ones the caller may change now and the
+// rejected ones, each with the reason
+const applyFieldPolicy = (fields, { roles, state, phase }) => {
+  const allowed = new Set(
+    PERFORMANCE_FIELD_POLICY.filter(
+      (rule) =>
+        rule.roles.some((role) => roles.includes(role)) &&
+        rule.states.includes(state) &&
+        rule.phases.includes(phase)
+    ).flatMap((rule) => rule.fields)
+  );
+
+  const rejected = fields
+    .filter((field) => !allowed.has(field))
+    .map((field) => ({
+      field,
+      reason: POLICY_FIELDS.includes(field)
+        ? `Not editable by you while the performance is ${state} and the festival is in ${phase}.`
+        : "This field cannot be changed through this endpoint.",
+    }));
+  return { allowed: fields.filter((field) => allowed.has(field)), rejected };
+};
+
 // Update Performance
-app.put("/performances/:id", authenticate, async (req, res) => {
-  try {
-    const performance = await Performance.findById(req.params.id);
+app.put(
+  "/performances/:id",
+  authenticate,
+  authorize(["ARTIST", "ORGANIZER"], festivalFromPerformance),
+  async (req, res) => {
+    try {
+      const performance = await Performance.findById(req.params.id);
 
-    if (!performance) return res.status(404).send("Performance not found.");
+      if (!performance) return res.status(404).send("Performance not found.");
 
-    // Check if the logged-in user has the role of ARTIST or ORGANIZER
-    if (!["ARTIST", "ORGANIZER"].includes(req.user.role)) {
-      return res
-        .status(403)
-        .send("Only users with roles ARTIST or ORGANIZER can update this performance.");
+      // Artists can only edit performances they created or play in
+      const roles = req.festivalRoles.filter((role) => role === "ORGANIZER");
+      if (canEditPerformance(performance, req.user._id)) roles.push("EDITOR");
+      if (roles.length === 0) {
+        return res
+          .status(403)
+          .send("Only the creator or an accepted band member can edit this performance.");
+      }
+
+      const festival = await Festival.findById(performance.festival).select(
+        "state stages submissionLimits"
+      );
+      if (!festival) {
+        return res.status(404).send("Festival associated with performance not found.");
+      }
+
+      // Nothing is applied if any requested field is not editable right now
+      const { allowed, rejected } = applyFieldPolicy(Object.keys(req.body), {
+        roles,
+        state: performance.state,
+        phase: festival.state,
+      });
+      if (rejected.length > 0) {
+        return res.status(400).send({
+          message: "Some fields cannot be changed.",
+          rejectedFields: rejected,
+        });
+      }
+
+      // A targeted stage must belong to the performance's festival
+      if (req.body.stage && !festival.stages.id(req.body.stage)) {
+        return res.status(400).send("Stage not found in this festival.");
+      }
+
+      // Update the performance details
+      allowed.forEach((field) => performance.set(field, req.body[field]));
+
+      // Only the limits touched by this update are checked
+      const checks = [];
+      if (performance.isModified("duration")) checks.push("duration");
+      if (performance.isModified("genre")) checks.push("genre");
+
+      const contentChanged = REVISION_FIELDS.some((field) => performance.isModified(field));
+      const save = async () => {
+        if (checks.length) {
+          const violation = await findSubmissionLimitViolation(festival, performance, {
+            checks,
+          });
+          if (violation) return { error: { status: 400, message: violation } };
+        }
+        await performance.save();
+        return {};
+      };
+      // Only a genre change can take a quota place
+      const outcome = checks.includes("genre")
+        ? await withQuotaLease(festival, save)
+        : await save();
+      if (outcome.error) return res.status(outcome.error.status).send(outcome.error.message);
+      if (contentChanged) await recordRevision(performance, "UPDATE", req.user._id);
+
+      res.status(200).send(performance);
+    } catch (error) {
+      res.status(400).send(error.message);
     }
+  }
+);
 
-    // Update the performance details
-    Object.assign(performance, req.body);
-    await performance.save();
+// Artists see the revisions of performances they can edit; staff and organizers
+// of the festival see all of them
+const canViewRevisions = (req, performance) =>
+  req.festivalRoles.some((role) => ["STAFF", "ORGANIZER"].includes(role)) ||
+  req.user.role === "ADMIN" ||
+  canEditPerformance(performance, req.user._id);
+
+// Find a revision by version number, "reviewed" (the latest reviewed version)
+// or "latest"
+const findRevision = (performanceId, ref = "latest") => {
+  const filter = { performance: performanceId };
+  if (ref === "reviewed") filter.action = "REVIEW";
+  else if (ref !== "latest") filter.version = Number(ref);
+  return PerformanceRevision.findOne(filter).sort({ version: -1 });
+};
 
-    res.status(200).send(performance);
-  } catch (error) {
-    res.status(400).send(error.message);
+// List Performance Revisions
+app.get(
+  "/performances/:id/revisions",
+  authenticate,
+  authorize(["ARTIST", "STAFF", "ORGANIZER", "ADMIN"], festivalFromPerformance),
+  async (req, res) => {
+    try {
+      const performance = await Performance.findById(req.params.id);
+      if (!performance) return res.status(404).send("Performance not found.");
+      if (!canViewRevisions(req, performance)) {
+        return res.status(403).send("Access denied.");
+      }
+
+      const revisions = await PerformanceRevision.find({ performance: performance._id })
+        .populate("by", "username")
+        .sort({ version: 1 });
+
+      // Review revisions follow the same visibility as GET /reviews
+      const festival = await Festival.findById(performance.festival).select("state");
+      const scoresVisible = canSeeAllReviewScores(req, festival);
+      res.status(200).send(
+        revisions.map((revision) => {
+          const ownReview = revision.by?._id.toString() === req.user._id.toString();
+          if (revision.action !== "REVIEW" || scoresVisible || ownReview) return revision;
+          const { review, by, ...rest } = revision.toObject();
+          return rest;
+        })
+      );
+    } catch (error) {
+      res.status(500).send(error.message);
+    }
+  }
+);
+
+// Compare Two Performance Revisions (?from=reviewed&to=latest)
+app.get(
+  "/performances/:id/revisions/diff",
+  authenticate,
+  authorize(["ARTIST", "STAFF", "ORGANIZER", "ADMIN"], festivalFromPerformance),
+  async (req, res) => {
+    try {
+      const performance = await Performance.findById(req.params.id);
+      if (!performance) return res.status(404).send("Performance not found.");
+      if (!canViewRevisions(req, performance)) {
+        return res.status(403).send("Access denied.");
+      }
+
+      const { from = "reviewed", to = "latest" } = req.query;
+      const isValidRef = (ref) =>
+        ["reviewed", "latest"].includes(ref) || Number.isInteger(Number(ref));
+      if (!isValidRef(from) || !isValidRef(to)) {
+        return res
+          .status(400)
+          .send("from and to must be a version number, 'reviewed' or 'latest'.");
+      }
+
+      const [fromRevision, toRevision] = await Promise.all([
+        findRevision(performance._id, from),
+        findRevision(performance._id, to),
+      ]);
+      if (!fromRevision || !toRevision) {
+        return res.status(404).send("Revision not found.");
+      }
+
+      const changes = REVISION_FIELDS.flatMap((field) => {
+        const before = fromRevision.snapshot?.[field] ?? null;
+        const after = toRevision.snapshot?.[field] ?? null;
+        if (JSON.stringify(before) === JSON.stringify(after)) return [];
+
+        const change = { field, from: before, to: after };
+        // List fields also report which entries were added or removed
+        if (Array.isArray(before) || Array.isArray(after)) {
+          change.added = (after || []).filter((item) => !(before || []).includes(item));
+          change.removed = (before || []).filter((item) => !(after || []).includes(item));
+        }
+        return [change];
+      });
+
+      const summarize = ({ version, action, at }) => ({ version, action, at });
+      res.status(200).send({
+        from: summarize(fromRevision),
+        to: summarize(toRevision),
+        changes,
+      });
+    } catch (error) {
+      res.status(500).send(error.message);
+    }
   }
-});
-
+);
 
 // Withdraw Performance
-app.delete("/performances/:id", authenticate, async (req, res) => {
-  try {
-    const performance = await Performance.findById(req.params.id);
+app.delete(
+  "/performances/:id",
+  authenticate,
+  authorize(["ARTIST"], festivalFromPerformance),
+  async (req, res) => {
+    try {
+      const performance = await Performance.findById(req.params.id);
 
-    if (!performance) return res.status(404).send("Performance not found.");
-    
-    // Allow withdraw only if the state is CREATED
-    if (performance.state !== "CREATED") {
-      return res.status(400).send("Only performances in CREATED state can be withdrawn.");
-    }
+      if (!performance) return res.status(404).send("Performance not found.");
 
-    // Ensure the user has the role of ARTIST
-    if (req.user.role !== "ARTIST") {
-      return res
-        .status(403)
-        .send("Only users with the role of ARTIST can withdraw this performance.");
-    }
+      if (performance.creator.toString() !== req.user._id) {
+        return res.status(403).send("Only the creator can withdraw this performance.");
+      }
 
-    await performance.deleteOne();
-    res.status(200).send("Performance withdrawn successfully.");
-  } catch (error) {
-    res.status(400).send(error.message);
+      // Allow withdraw only if the state is CREATED
+      if (performance.state !== "CREATED") {
+        return res.status(400).send("Only performances in CREATED state can be withdrawn.");
+      }
+
+      await performance.deleteOne();
+      await PerformanceRevision.deleteMany({ performance: performance._id });
+      await Review.deleteMany({ performance: performance._id });
+      res.status(200).send("Performance withdrawn successfully.");
+    } catch (error) {
+      res.status(400).send(error.message);
+    }
   }
-});
+);
 
 // Reject Performance
 app.post(
   "/performances/:id/reject",
   authenticate,
-  authorize(["ORGANIZER"]),
+  authorize(["ORGANIZER"], festivalFromPerformance),
   async (req, res) => {
     try {
       const performance = await Performance.findById(req.params.id);
@@ -1080,8 +5632,9 @@ app.post(
           .send("Festival must be in SCHEDULING state to reject a performance.");
       }
 
-      // Check the performance's review score
-      if (!performance.review || performance.review.score >= 5) {
+      // Check the performance's mean review score
+      const aggregate = await getReviewAggregate(performance._id);
+      if (!aggregate || aggregate.mean >= 5) {
         return res
           .status(400)
           .send("Performance cannot be rejected. The review score is acceptable.");
@@ -1094,7 +5647,7 @@ app.post(
       }
 
       // Update performance state and rejection reason
-      performance.state = "REJECTED";
+      setPerformanceState(performance, "REJECTED", festival.state, { by: req.user._id });
       performance.rejectionReason = rejectionReason;
 
       await performance.save();
@@ -1111,27 +5664,60 @@ app.post(
 
 
 
-// Assign Staff to Performance
+// Assign Staff to Performance (one or more reviewers)
 app.post(
   "/performances/:id/assign-staff",
   authenticate,
-  authorize(["ORGANIZER"]),
+  authorize(["ORGANIZER"], festivalFromPerformance),
   async (req, res) => {
     try {
       const performance = await Performance.findById(req.params.id);
 
       if (!performance) return res.status(404).send("Performance not found.");
 
-      const { staffId } = req.body;
-      const staff = await User.findById(staffId);
-
-      if (!staff || staff.role !== "STAFF") {
-        return res.status(400).send("Invalid staff member.");
+      const { staffId, staffIds } = req.body;
+      const ids = [...new Set(staffIds || (staffId ? [staffId] : []))];
+      if (ids.length === 0) {
+        return res.status(400).send("staffId or staffIds is required.");
       }
 
-      performance.staffAssigned = staffId;
-      await performance.save();
+      for (const id of ids) {
+        const staff = mongoose.Types.ObjectId.isValid(id) && (await User.findById(id));
+
+        // Staff must belong to the performance's festival
+        if (
+          !staff ||
+          !(await hasFestivalRole(staff._id, performance.festival, "STAFF"))
+        ) {
+          return res
+            .status(400)
+            .send("Invalid staff member. The user is not STAFF of this festival.");
+        }
+        if (isListedOnPerformance(performance, staff._id)) {
+          return res
+            .status(400)
+            .send("A member of the band cannot review their own performance.");
+        }
+      }
 
+      // Reviewers who are already assigned are left as they are
+      await Review.bulkWrite(
+        ids.map((id) => ({
+          updateOne: {
+            filter: { performance: performance._id, reviewer: id },
+            update: {
+              $setOnInsert: {
+                festival: performance.festival,
+                assignedBy: req.user._id,
+                assignedAt: new Date(),
+              },
+            },
+            upsert: true,
+          },
+        }))
+      );
+
+      // Assigned reviewers are listed by GET /performances/:id/reviews
       res.status(200).send(performance);
     } catch (error) {
       res.status(400).send(error);
@@ -1139,11 +5725,299 @@ app.post(
   }
 );
 
+// Unassign Reviewer from Performance
+app.delete(
+  "/performances/:id/reviewers/:userId",
+  authenticate,
+  authorize(["ORGANIZER"], festivalFromPerformance),
+  async (req, res) => {
+    try {
+      const review = await Review.findOne({
+        performance: req.params.id,
+        reviewer: req.params.userId,
+      });
+      if (!review) return res.status(404).send("Reviewer is not assigned.");
+      if (review.status === "SUBMITTED") {
+        return res.status(400).send("A submitted review cannot be unassigned.");
+      }
+
+      // During REVIEW a reviewer can only be swapped for another one, so the
+      // performance never ends up with fewer reviewers than it was given
+      const festival = await Festival.findById(review.festival).select("state");
+      const { replacementId } = req.body || {};
+      if (festival.state === "REVIEW") {
+        if (!replacementId) {
+          return res
+            .status(400)
+            .send("During REVIEW a reviewer can only be unassigned with a replacementId.");
+        }
+      } else if (festival.state !== "ASSIGNMENT") {
+        return res
+          .status(400)
+          .send("Reviewers can only be unassigned during ASSIGNMENT or REVIEW.");
+      }
+
+      if (replacementId) {
+        const performance = await Performance.findById(review.performance);
+        const replacement =
+          mongoose.Types.ObjectId.isValid(replacementId) &&
+          (await User.findById(replacementId));
+        if (
+          !replacement ||
+          !(await hasFestivalRole(replacement._id, review.festival, "STAFF"))
+        ) {
+          return res
+            .status(400)
+            .send("Invalid replacement. The user is not STAFF of this festival.");
+        }
+        if (isListedOnPerformance(performance, replacement._id)) {
+          return res
+            .status(400)
+            .send("A member of the band cannot review their own performance.");
+        }
+        if (
+          await Review.exists({ performance: review.performance, reviewer: replacement._id })
+        ) {
+          return res.status(400).send("The replacement is already a reviewer.");
+        }
+        await Review.create({
+          performance: review.performance,
+          festival: review.festival,
+          reviewer: replacement._id,
+          assignedBy: req.user._id,
+        });
+      }
+
+      await review.deleteOne();
+      res
+        .status(200)
+        .send(
+          replacementId
+            ? "Reviewer replaced successfully."
+            : "Reviewer unassigned successfully."
+        );
+    } catch (error) {
+      res.status(500).send(error.message);
+    }
+  }
+);
+
+// Auto-Assign Reviewers to Submitted Performances
+// Each SUBMITTED performance gets reviewers until it has the festival's
+// required number. Staff with the fewest reviews in this festival are picked
+// first; expertise in the performance's genre only decides between staff with
+// the same load. Performances with the fewest eligible reviewers are filled
+// first. `overrides` maps a performance id to staff ids to assign to it first;
+// any reviewers still missing are picked automatically, in a separate entry.
+// `dryRun` (true or "true") only returns the plan.
+app.post(
+  "/festivals/:id/auto-assign",
+  authenticate,
+  authorize(["ORGANIZER"], festivalFromParams),
+  async (req, res) => {
+    try {
+      const { overrides = {} } = req.body;
+      if (![undefined, true, false, "true", "false"].includes(req.body.dryRun)) {
+        return res.status(400).send("dryRun must be true or false.");
+      }
+      const dryRun = req.body.dryRun === true || req.body.dryRun === "true";
+      if (typeof overrides !== "object" || Array.isArray(overrides)) {
+        return res
+          .status(400)
+          .send("overrides must map performance ids to lists of staff ids.");
+      }
+
+      const festival = await Festival.findById(req.params.id);
+      if (!festival) return res.status(404).send("Festival not found.");
+      if (festival.state !== "ASSIGNMENT") {
+        return res
+          .status(400)
+          .send("Festival must be in ASSIGNMENT state to assign reviewers.");
+      }
+
+      const staffMemberships = await Membership.find({
+        festival: festival._id,
+        role: "STAFF",
+      }).populate("user", "username genreExpertise accountStatus deletedAt");
+      const staff = staffMemberships
+        .map((membership) => membership.user)
+        .filter((user) => user && !user.deletedAt && user.accountStatus === "ACTIVE");
+
+      const performances = await Performance.find({
+        festival: festival._id,
+        state: "SUBMITTED",
+      });
+      const existing = await Review.find({ festival: festival._id });
+
+      // Reviews each staff member already has in this festival
+      const load = new Map(staff.map((user) => [user._id.toString(), 0]));
+      existing.forEach((review) => {
+        const key = review.reviewer.toString();
+        if (load.has(key)) load.set(key, load.get(key) + 1);
+      });
+      const initialLoad = new Map(load);
+
+      const isExpert = (user, performance) =>
+        Boolean(performance.genre) &&
+        user.genreExpertise.some(
+          (genre) => genre.toLowerCase() === performance.genre.toLowerCase()
+        );
+      const assignedTo = (performance) =>
+        existing
+          .filter((review) => review.performance.equals(performance._id))
+          .map((review) => review.reviewer.toString());
+      const eligibleFor = (performance) =>
+        staff.filter(
+          (user) =>
+            !assignedTo(performance).includes(user._id.toString()) &&
+            !isListedOnPerformance(performance, user._id)
+        );
+
+      const assignments = [];
+      const unassigned = [];
+      // Staff ids picked by an override, per performance id
+      const overridePicks = new Map();
+
+      // Manual overrides are validated and applied first
+      for (const [performanceId, staffIds] of Object.entries(overrides)) {
+        const performance = performances.find(
+          (item) => item._id.toString() === performanceId
+        );
+        if (!performance) {
+          return res
+            .status(400)
+            .send(
+              `Override for ${performanceId}: not a submitted performance of this festival.`
+            );
+        }
+        if (!Array.isArray(staffIds) || staffIds.length === 0) {
+          return res
+            .status(400)
+            .send(
+              `Override for ${performanceId}: expected a non-empty list of staff ids.`
+            );
+        }
+
+        const eligible = eligibleFor(performance);
+        const reviewers = [];
+        for (const staffId of new Set(staffIds.map(String))) {
+          const user = eligible.find((item) => item._id.toString() === staffId);
+          if (!user) {
+            return res
+              .status(400)
+              .send(
+                `Override for ${performance.name}: ${staffId} is not eligible ` +
+                  "(not STAFF of this festival, already assigned or a band member)."
+              );
+          }
+          reviewers.push(user);
+          load.set(staffId, load.get(staffId) + 1);
+        }
+        assignments.push({ performance, reviewers, override: true });
+        overridePicks.set(
+          performanceId,
+          reviewers.map((user) => user._id.toString())
+        );
+      }
+
+      const remaining = performances
+        .map((performance) => {
+          const picked = overridePicks.get(performance._id.toString()) || [];
+          return {
+            performance,
+            needed:
+              festival.requiredReviews - assignedTo(performance).length - picked.length,
+            eligible: eligibleFor(performance).filter(
+              (user) => !picked.includes(user._id.toString())
+            ),
+          };
+        })
+        .filter((entry) => entry.needed > 0)
+        .sort((a, b) => a.eligible.length - b.eligible.length);
+
+      for (const { performance, needed, eligible } of remaining) {
+        const loadOf = (user) => load.get(user._id.toString());
+        const reviewers = [...eligible]
+          .sort(
+            (a, b) =>
+              loadOf(a) - loadOf(b) ||
+              isExpert(b, performance) - isExpert(a, performance) ||
+              a.username.localeCompare(b.username)
+          )
+          .slice(0, needed);
+
+        reviewers.forEach((user) => {
+          const key = user._id.toString();
+          load.set(key, load.get(key) + 1);
+        });
+        if (reviewers.length > 0) {
+          assignments.push({ performance, reviewers, override: false });
+        }
+        if (reviewers.length < needed) {
+          unassigned.push({
+            performance: { _id: performance._id, name: performance.name },
+            missing: needed - reviewers.length,
+            reason: "Not enough eligible staff.",
+          });
+        }
+      }
+
+      if (!dryRun) {
+        const operations = assignments.flatMap(({ performance, reviewers }) =>
+          reviewers.map((user) => ({
+            updateOne: {
+              filter: { performance: performance._id, reviewer: user._id },
+              update: {
+                $setOnInsert: {
+                  festival: festival._id,
+                  assignedBy: req.user._id,
+                  assignedAt: new Date(),
+                },
+              },
+              upsert: true,
+            },
+          }))
+        );
+        if (operations.length > 0) await Review.bulkWrite(operations);
+      }
+
+      res.status(dryRun ? 200 : 201).send({
+        message: dryRun
+          ? "Preview only. Send the same request without dryRun to assign."
+          : "Reviewers assigned successfully.",
+        dryRun: Boolean(dryRun),
+        assignments: assignments.map(({ performance, reviewers, override }) => ({
+          performance: {
+            _id: performance._id,
+            name: performance.name,
+            genre: performance.genre,
+          },
+          reviewers: reviewers.map((user) => ({
+            _id: user._id,
+            username: user.username,
+            expertise: isExpert(user, performance),
+          })),
+          override,
+        })),
+        unassigned,
+        workload: staff.map((user) => ({
+          _id: user._id,
+          username: user.username,
+          before: initialLoad.get(user._id.toString()),
+          after: load.get(user._id.toString()),
+        })),
+      });
+    } catch (error) {
+      res.status(500).send(error.message);
+    }
+  }
+);
+
 // Accept Performance During DECISION State
 app.post(
   "/performances/:id/accept",
   authenticate,
-  authorize(["ORGANIZER"]),
+  authorize(["ORGANIZER"], festivalFromPerformance),
   async (req, res) => {
     try {
       const performance = await Performance.findById(req.params.id);
@@ -1163,17 +6037,43 @@ app.post(
           .send("Festival must be in DECISION state to accept a performance.");
       }
 
-      // Check if the performance is in APPROVED state
-      if (performance.state !== "APPROVED") {
+      // Only performances that were finally submitted reach the decision
+      if (performance.state !== "FINAL_SUBMITTED") {
         return res
           .status(400)
           .send(
-            "Performance must be in APPROVED state to be accepted during DECISION."
+            "Performance must be in FINAL_SUBMITTED state to be accepted during DECISION."
           );
       }
 
+      // Optionally place the performance in the timetable
+      const { stage, startsAt } = req.body;
+      if (stage) {
+        if (!festival.stages.id(stage)) {
+          return res.status(400).send("Stage not found in this festival.");
+        }
+        performance.stage = stage;
+      }
+      if (startsAt) {
+        const start = new Date(startsAt);
+        if (Number.isNaN(start.getTime())) {
+          return res.status(400).send("startsAt must be a valid date.");
+        }
+        const slotStage = performance.stage && festival.stages.id(performance.stage);
+        if (!slotStage) {
+          return res.status(400).send("A stage is required to schedule a time slot.");
+        }
+        if (!(performance.duration > 0)) {
+          return res.status(400).send("A duration is required to schedule a time slot.");
+        }
+        const end = new Date(start.getTime() + performance.duration * 60 * 1000);
+        const conflict = await findSlotConflict(slotStage, performance, start, end);
+        if (conflict) return res.status(409).send(conflict);
+        performance.scheduledSlot = { start, end };
+      }
+
       // Update performance state to ACCEPTED
-      performance.state = "SCHEDULED";
+      setPerformanceState(performance, "SCHEDULED", festival.state, { by: req.user._id });
 
       await performance.save();
 
@@ -1188,8 +6088,8 @@ app.post(
 );
 
 
-// Add Band Member to Performance
-app.post("/performances/:id/add-member", authenticate, authorize(["ARTIST"]), async (req, res) => {
+// Invite Band Member to Performance
+app.post("/performances/:id/add-member", authenticate, authorize(["ARTIST"], festivalFromPerformance), async (req, res) => {
   try {
     const { newMemberUsername } = req.body;
 
@@ -1208,28 +6108,31 @@ app.post("/performances/:id/add-member", authenticate, authorize(["ARTIST"]), as
     }
 
     // Find the new member in the database
-    const newMember = await User.findOne({ username: newMemberUsername });
+    const newMember = await User.findOne({
+      username: newMemberUsername,
+      deletedAt: null,
+      isServiceAccount: false,
+    });
     if (!newMember) {
       return res.status(404).send("User with the given username not found.");
     }
-
-    // Ensure the user is not already a band member
-    if (performance.bandMembers.includes(newMember.username)) {
-      return res.status(400).send("User is already a band member.");
+    if (newMember._id.equals(performance.creator)) {
+      return res.status(400).send("The creator cannot be invited as a band member.");
     }
 
-    // Add the user to the band members
-    performance.bandMembers.push(newMember.username);
-
-    // Optionally, update the user's role to ARTIST for this festival
-    newMember.role = "ARTIST";
-    await newMember.save();
+    // The member joins once they accept the invitation
+    if (!(await inviteBandMember(performance, newMember, req.user._id))) {
+      return res.status(400).send("User is already a band member or has been invited.");
+    }
 
     // Save the updated performance
     await performance.save();
+    const mailSent = await sendBandInvitation(performance, newMember);
 
     res.status(200).send({
-      message: "Band member added successfully.",
+      message: mailSent
+        ? "Band member invited successfully."
+        : "Band member invited, but the invitation email could not be sent.",
       performance,
     });
   } catch (error) {
@@ -1237,12 +6140,250 @@ app.post("/performances/:id/add-member", authenticate, authorize(["ARTIST"]), as
   }
 });
 
+// List Band Invitations of the Caller
+app.get("/band-invitations", authenticate, async (req, res) => {
+  try {
+    const performances = await Performance.find({
+      bandMembers: { $elemMatch: { user: req.user._id, status: "INVITED" } },
+    })
+      .populate("festival", "name state dates")
+      .populate("creator", "username")
+      .select("name genre festival creator bandMembers");
+
+    res.status(200).send(
+      performances.map((performance) => {
+        const member = findBandMember(performance, req.user._id);
+        return {
+          performance: {
+            _id: performance._id,
+            name: performance.name,
+            genre: performance.genre,
+            festival: performance.festival,
+            creator: performance.creator,
+          },
+          invitedAt: member.invitedAt,
+        };
+      })
+    );
+  } catch (error) {
+    res.status(500).send(error.message);
+  }
+});
+
+// Accept or Decline Band Invitation
+app.post(
+  "/performances/:id/members/:response(accept|decline)",
+  authenticate,
+  async (req, res) => {
+    try {
+      const accepted = req.params.response === "accept";
+
+      const existing = await Performance.findById(req.params.id).select("festival");
+      if (!existing) return res.status(404).send("Performance not found.");
+      if (await isFestivalArchived(existing.festival)) {
+        return sendFestivalArchived(res);
+      }
+
+      // Only a pending invitation of the caller can be answered
+      const performance = await Performance.findOneAndUpdate(
+        {
+          _id: req.params.id,
+          bandMembers: { $elemMatch: { user: req.user._id, status: "INVITED" } },
+        },
+        {
+          $set: {
+            "bandMembers.$.status": accepted ? "ACCEPTED" : "DECLINED",
+            "bandMembers.$.respondedAt": new Date(),
+          },
+        },
+        { new: true }
+      );
+      if (!performance) {
+        return res.status(404).send("Invitation not found or no longer valid.");
+      }
+
+      if (accepted) {
+        // The member becomes an ARTIST of this festival only
+        await grantMembership(
+          req.user._id,
+          performance.festival,
+          "ARTIST",
+          findBandMember(performance, req.user._id).invitedBy
+        );
+        await recordRevision(performance, "UPDATE", req.user._id);
+      }
+
+      res
+        .status(200)
+        .send(accepted ? "You are now a member of this band." : "Invitation declined.");
+    } catch (error) {
+      res.status(500).send(error.message);
+    }
+  }
+);
+
+// Leave the Band of a Performance
+app.post(
+  "/performances/:id/members/leave",
+  authenticate,
+  authorize(["ARTIST"], festivalFromPerformance),
+  async (req, res) => {
+    try {
+      const performance = await Performance.findOneAndUpdate(
+        {
+          _id: req.params.id,
+          bandMembers: { $elemMatch: { user: req.user._id, status: "ACCEPTED" } },
+        },
+        {
+          $set: {
+            "bandMembers.$.status": "LEFT",
+            "bandMembers.$.respondedAt": new Date(),
+          },
+        },
+        { new: true }
+      );
+      if (!performance) {
+        return res.status(404).send("You are not a member of this band.");
+      }
+
+      await recordRevision(performance, "UPDATE", req.user._id);
+
+      res.status(200).send("You have left the band.");
+    } catch (error) {
+      res.status(500).send(error.message);
+    }
+  }
+);
+
+// Artist profile helpers
+const isArtist = async (user) =>
+  user.role === "ARTIST" ||
+  Boolean(await Membership.exists({ user: user._id, role: "ARTIST" }));
+
+// Users whose profile field matches the word; used by performance search
+const findProfileOwners = async (field, word) => {
+  const profiles = await ArtistProfile.find({
+    [field]: { $regex: escapeRegex(word), $options: "i" },
+  }).populate("user", "username");
+  const owners = profiles.filter((profile) => profile.user);
+  return {
+    ids: owners.map((profile) => profile.user._id),
+  };
+};
+
+// Get Own Artist Profile
+app.get("/artists/me", authenticate, async (req, res) => {
+  try {
+    const profile = await ArtistProfile.findOne({ user: req.user._id });
+    if (!profile) return res.status(404).send("Artist profile not found.");
+
+    res.status(200).send(profile);
+  } catch (error) {
+    res.status(500).send(error.message);
+  }
+});
+
+// Create or Update Own Artist Profile
+app.put("/artists/me", authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) return res.status(404).send("User not found.");
+
+    if (!(await isArtist(user))) {
+      return res.status(403).send("Only artists can have an artist profile.");
+    }
+
+    const profile =
+      (await ArtistProfile.findOne({ user: user._id })) ||
+      new ArtistProfile({ user: user._id });
+
+    // Update allowed fields
+    const allowedUpdates = [
+      "displayName",
+      "bio",
+      "homeCity",
+      "genres",
+      "links",
+      "photoUrl",
+    ];
+    Object.keys(req.body).forEach((key) => {
+      if (allowedUpdates.includes(key)) {
+        profile[key] = req.body[key];
+      }
+    });
+    profile.updatedAt = new Date();
+
+    await profile.save();
+    res.status(200).send(profile);
+  } catch (error) {
+    res.status(400).send(error.message);
+  }
+});
+
+// Get Public Artist Page
+app.get("/artists/:username", async (req, res) => {
+  try {
+    const user = await User.findOne({
+      username: req.params.username,
+      deletedAt: null,
+    });
+    if (!user) return res.status(404).send("Artist not found.");
+
+    const profile = await ArtistProfile.findOne({ user: user._id });
+    if (!profile && !(await isArtist(user))) {
+      return res.status(404).send("Artist not found.");
+    }
+
+    // The artist and admins see every performance; everyone else only
+    // scheduled performances of announced festivals that are not archived
+    const viewer = await identifyOptionalUser(req);
+    const fullView =
+      viewer && (viewer._id.equals(user._id) || viewer.role === "ADMIN");
+
+    const performances = await Performance.find({
+      $or: [{ creator: user._id }, acceptedBandMemberFilter([user._id])],
+    })
+      .populate("festival", "name state dates venue archivedAt")
+      .select("name description genre duration state festival")
+      .sort({ createdAt: -1 });
+
+    const visiblePerformances = fullView
+      ? performances
+      : performances.filter(
+          (performance) =>
+            performance.state === "SCHEDULED" &&
+            performance.festival?.state === "ANNOUNCED" &&
+            !performance.festival.archivedAt
+        );
+
+    res.status(200).send({
+      username: user.username,
+      profile: profile
+        ? {
+            displayName: profile.displayName,
+            bio: profile.bio,
+            homeCity: profile.homeCity,
+            genres: profile.genres,
+            links: profile.links,
+            photoUrl: profile.photoUrl,
+          }
+        : null,
+      performances: visiblePerformances,
+    });
+  } catch (error) {
+    res.status(500).send(error.message);
+  }
+});
+
 // Search Performances Route
-app.get("/performances/search", async (req, res) => {
+app.get("/performances/search", allowApiKey("performances:read"), async (req, res) => {
   try {
-    const { name, artist, genre } = req.query;
+    const { name, artist, genre, city } = req.query;
 
-    const searchCriteria = {};
+    // Performances of archived festivals are not listed
+    const searchCriteria = {
+      festival: { $nin: await Festival.distinct("_id", { archivedAt: { $ne: null } }) },
+    };
 
     if (name) {
       const nameWords = name.split(" ").map((word) => ({
@@ -1251,49 +6392,85 @@ app.get("/performances/search", async (req, res) => {
       searchCriteria.$and = [...(searchCriteria.$and || []), ...nameWords];
     }
 
+    // Artist words also match the display names of artist profiles
     if (artist) {
-      const artistWords = artist.split(" ").map((word) => ({
-        bandMembers: { $regex: word, $options: "i" },
-      }));
+      const artistWords = await Promise.all(
+        artist.split(" ").map(async (word) => {
+          const owners = await findProfileOwners("displayName", word);
+          const members = await User.find({
+            username: { $regex: escapeRegex(word), $options: "i" },
+          }).select("_id");
+          return {
+            $or: [
+              acceptedBandMemberFilter([
+                ...members.map((member) => member._id),
+                ...owners.ids,
+              ]),
+              { creator: { $in: owners.ids } },
+            ],
+          };
+        })
+      );
       searchCriteria.$and = [...(searchCriteria.$and || []), ...artistWords];
     }
 
+    // Genre words also match the genres listed on the creator's profile
     if (genre) {
-      const genreWords = genre.split(" ").map((word) => ({
-        genre: { $regex: word, $options: "i" },
-      }));
+      const genreWords = await Promise.all(
+        genre.split(" ").map(async (word) => {
+          const owners = await findProfileOwners("genres", word);
+          return {
+            $or: [
+              { genre: { $regex: word, $options: "i" } },
+              { creator: { $in: owners.ids } },
+            ],
+          };
+        })
+      );
       searchCriteria.$and = [...(searchCriteria.$and || []), ...genreWords];
     }
 
-    let performances = await Performance.find(searchCriteria);
+    // City matches the home city on the profiles of the artists involved
+    if (city) {
+      const owners = await findProfileOwners("homeCity", city);
+      searchCriteria.$and = [
+        ...(searchCriteria.$and || []),
+        {
+          $or: [
+            acceptedBandMemberFilter(owners.ids),
+            { creator: { $in: owners.ids } },
+          ],
+        },
+      ];
+    }
+
+    let performances = await Performance.find(searchCriteria).populate(
+      "bandMembers.user",
+      "username"
+    );
 
-    // Sort performances first by genre, then by name
+    // Sort performances first by genre, then by name; genre is optional
     performances.sort((a, b) => {
-      if (a.genre.toLowerCase() < b.genre.toLowerCase()) return -1;
-      if (a.genre.toLowerCase() > b.genre.toLowerCase()) return 1;
+      const genreA = (a.genre || "").toLowerCase();
+      const genreB = (b.genre || "").toLowerCase();
+      if (genreA < genreB) return -1;
+      if (genreA > genreB) return 1;
       return a.name.toLowerCase().localeCompare(b.name.toLowerCase());
     });
 
     // Check for Authentication
-    const token = req.headers.authorization?.split(" ")[1];
-    let userRole = null;
-
-    if (token) {
-      try {
-        // Decode token to determine role
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        const user = await User.findById(decoded._id);
-        if (user && user.accountStatus === "ACTIVE") {
-          userRole = user.role;
-        }
-      } catch (err) {
-        console.error("Invalid or expired token provided.");
-      }
-    }
+    const user = await identifyOptionalUser(req);
+    const userRole = user ? user.role : null;
 
     // Modify response based on role
     const modifiedPerformances = performances.map((performance) => {
-      const performanceObject = performance.toObject();
+      // Band members are listed by username, and only once they have accepted
+      const performanceObject = {
+        ...performance.toObject(),
+        bandMembers: performance.bandMembers
+          .filter((member) => member.status === "ACCEPTED" && member.user)
+          .map((member) => member.user.username),
+      };
 
       if (!userRole || !["ADMIN", "ORGANIZER", "ARTIST"].includes(userRole)) {
         const { _id, ...rest } = performanceObject;
@@ -1312,10 +6489,201 @@ app.get("/performances/search", async (req, res) => {
 
 
 
-// Start Server
-app.listen(PORT, () => {
-  console.log(`Server is running on port ${PORT}`);
+// Data Migrations
+// One-off data changes for documents written by earlier versions. Each runs
+// once per database; the Migration collection records which ones have run.
+const MigrationSchema = new mongoose.Schema({
+  _id: String,
+  // Set once the migration has finished
+  appliedAt: Date,
+  // Held by the instance running the migration. A lease left behind by an
+  // instance that stopped halfway expires, and the migration runs again.
+  leaseUntil: Date,
 });
 
+const Migration = mongoose.model("Migration", MigrationSchema);
+
+const MIGRATIONS = [
+  {
+    // Festival roles used to come from Festival.organizers, the performance
+    // creator and staffAssigned; give those users the matching memberships
+    id: "backfill-festival-memberships",
+    run: async () => {
+      const festivals = await Festival.collection
+        .find({}, { projection: { organizers: 1 } })
+        .toArray();
+      for (const festival of festivals) {
+        for (const organizer of festival.organizers || []) {
+          await grantMembership(organizer, festival._id, "ORGANIZER", null);
+        }
+      }
+
+      const performances = await Performance.collection
+        .find({}, { projection: { festival: 1, creator: 1, staffAssigned: 1 } })
+        .toArray();
+      for (const performance of performances) {
+        if (performance.creator) {
+          await grantMembership(performance.creator, performance.festival, "ARTIST", null);
+        }
+        if (performance.staffAssigned) {
+          await grantMembership(
+            performance.staffAssigned,
+            performance.festival,
+            "STAFF",
+            null
+          );
+        }
+      }
+    },
+  },
+  {
+    // Band members used to be stored as plain usernames; they were added
+    // outright, so they become accepted members
+    id: "band-members-to-subdocuments",
+    run: async () => {
+      const performances = await Performance.collection
+        .find(
+          { bandMembers: { $type: "string" } },
+          { projection: { festival: 1, creator: 1, bandMembers: 1 } }
+        )
+        .toArray();
+      for (const performance of performances) {
+        const usernames = performance.bandMembers.filter(
+          (member) => typeof member === "string"
+        );
+        const users = await User.find({ username: { $in: usernames }, deletedAt: null });
+        const members = performance.bandMembers.filter(
+          (member) => typeof member !== "string"
+        );
+        for (const user of users) {
+          const listed = members.some((member) => user._id.equals(member.user));
+          if (listed || user._id.equals(performance.creator)) continue;
+          members.push({
+            user: user._id,
+            status: "ACCEPTED",
+            invitedBy: performance.creator,
+            invitedAt: new Date(),
+            respondedAt: new Date(),
+          });
+          await grantMembership(user._id, performance.festival, "ARTIST", null);
+        }
+        await Performance.collection.updateOne(
+          { _id: performance._id },
+          { $set: { bandMembers: members } }
+        );
+      }
+    },
+  },
+  {
+    // A performance used to have a single staffAssigned reviewer and an
+    // embedded review; both become a Review. Reviews written by an organizer
+    // (no staffAssigned) are credited to the festival's first organizer.
+    id: "reviews-from-staff-assigned",
+    run: async () => {
+      const performances = await Performance.collection
+        .find(
+          { $or: [{ staffAssigned: { $ne: null } }, { "review.score": { $ne: null } }] },
+          { projection: { festival: 1, staffAssigned: 1, review: 1 } }
+        )
+        .toArray();
+      for (const performance of performances) {
+        let reviewer = performance.staffAssigned;
+        if (!reviewer) {
+          const festival = await Festival.collection.findOne(
+            { _id: performance.festival },
+            { projection: { organizers: 1 } }
+          );
+          reviewer = festival?.organizers?.[0];
+        }
+        if (!reviewer) continue;
+
+        const reviewed = performance.review?.score != null;
+        await Review.collection.updateOne(
+          { performance: performance._id, reviewer },
+          {
+            $setOnInsert: {
+              festival: performance.festival,
+              status: reviewed ? "SUBMITTED" : "ASSIGNED",
+              ...(reviewed && {
+                score: performance.review.score,
+                comments: performance.review.comments,
+                submittedAt: new Date(),
+              }),
+              flaggedForDiscussion: false,
+              assignedAt: new Date(),
+            },
+          },
+          { upsert: true }
+        );
+      }
+    },
+  },
+];
+
+const MIGRATION_LEASE_MS = 10 * 60 * 1000;
+const MIGRATION_POLL_MS = 1000;
+
+// Take the lease on a migration so two instances never run it together.
+// While another instance holds it, wait for that one to finish. Returns
+// false if the migration has already been applied.
+const claimMigration = async (id) => {
+  for (;;) {
+    const now = new Date();
+    try {
+      await Migration.findOneAndUpdate(
+        {
+          _id: id,
+          appliedAt: null,
+          $or: [{ leaseUntil: null }, { leaseUntil: { $lt: now } }],
+        },
+        { leaseUntil: new Date(now.getTime() + MIGRATION_LEASE_MS) },
+        { upsert: true }
+      );
+      return true;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+    const existing = await Migration.findById(id);
+    if (existing?.appliedAt) return false;
+    await new Promise((resolve) => setTimeout(resolve, MIGRATION_POLL_MS));
+  }
+};
+
+const runMigrations = async () => {
+  for (const migration of MIGRATIONS) {
+    if (!(await claimMigration(migration.id))) continue;
+    try {
+      await migration.run();
+    } catch (error) {
+      await Migration.updateOne({ _id: migration.id }, { $unset: { leaseUntil: 1 } });
+      throw error;
+    }
+    await Migration.updateOne(
+      { _id: migration.id },
+      { appliedAt: new Date(), $unset: { leaseUntil: 1 } }
+    );
+    console.log(`Migration ${migration.id} applied.`);
+  }
+};
+
+app.locals.runMigrations = runMigrations;
+
+// Start Server
+// Requests are only served once the data has been migrated
+runMigrations()
+  .then(() => {
+    if (process.env.SCHEDULER_ENABLED !== "false") {
+      startDeadlineScheduler();
+    }
+
+    app.listen(PORT, () => {
+      console.log(`Server is running on port ${PORT}`);
+    });
+  })
+  .catch((error) => {
+    console.error("Migrations failed:", error.message);
+    process.exit(1);
+  });
+
 
 module.exports = app;
@@ -16,6 +16,41 @@ afterAll(async () => {
   await mongoose.connection.close();
 });
 
+// Shared fixtures. Each describe block creates the users and festivals it
+// needs, so any block can also run on its own.
+const PASSWORD = "Password123!";
+
+// Create a user directly in the database, or return it if it already exists
+const createUser = async (username, fields = {}) => {
+  const User = mongoose.model("User");
+  return (
+    (await User.findOne({ username })) ||
+    new User({ username, password: PASSWORD, role: "USER", ...fields }).save()
+  );
+};
+
+const login = async (username) => {
+  const res = await request(app)
+    .post("/users/login")
+    .send({ username, password: PASSWORD });
+  return res.body.token;
+};
+
+const createFestival = async (token, body) => {
+  const res = await request(app)
+    .post("/festivals")
+    .set("Authorization", `Bearer ${token}`)
+    .send(body);
+  return res.body;
+};
+
+// Mail transport that fails every delivery
+const failingTransport = {
+  send: async () => {
+    throw new Error("SMTP unavailable");
+  },
+};
+
 describe("User API", () => {
   let token;
 
@@ -60,3 +95,1737 @@ describe("User API", () => {
     token = res.body.token; // Save token for future requests
   });
 });
+
+describe("Sessions", () => {
+  let token;
+  let refreshToken;
+
+  beforeAll(async () => {
+    await createUser("sessionuser");
+    const res = await request(app)
+      .post("/users/login")
+      .send({ username: "sessionuser", password: PASSWORD });
+    token = res.body.token;
+    refreshToken = res.body.refreshToken;
+  });
+
+  it("should rotate the refresh token", async () => {
+    const res = await request(app)
+      .post("/users/refresh")
+      .send({ refreshToken });
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body).toHaveProperty("token");
+    expect(res.body.refreshToken).not.toEqual(refreshToken);
+
+    // Reusing the rotated-out token revokes the session
+    const reuse = await request(app)
+      .post("/users/refresh")
+      .send({ refreshToken });
+    expect(reuse.statusCode).toEqual(401);
+  });
+
+  it("should let only one of two concurrent refreshes rotate the token", async () => {
+    const session = await request(app)
+      .post("/users/login")
+      .send({ username: "sessionuser", password: PASSWORD });
+
+    const responses = await Promise.all(
+      [1, 2].map(() =>
+        request(app)
+          .post("/users/refresh")
+          .send({ refreshToken: session.body.refreshToken })
+      )
+    );
+
+    // Whichever request loses sees the token as reused
+    expect(responses.map((res) => res.statusCode).sort()).toEqual([200, 401]);
+    const [sessionId] = session.body.refreshToken.split(".");
+    const revoked = await mongoose.model("Session").findById(sessionId);
+    expect(revoked.revokedReason).toEqual("REFRESH_TOKEN_REUSE");
+  });
+
+  it("should reject the access token after logout", async () => {
+    token = await login("sessionuser");
+
+    const res = await request(app)
+      .post("/users/logout")
+      .set("Authorization", `Bearer ${token}`);
+    expect(res.statusCode).toEqual(200);
+
+    const after = await request(app)
+      .post("/users/logout-all")
+      .set("Authorization", `Bearer ${token}`);
+    expect(after.statusCode).toEqual(401);
+  });
+});
+
+describe("Invitations", () => {
+  it("should not register a privileged role without an invitation", async () => {
+    const res = await request(app)
+      .post("/users/register")
+      .send({
+        username: "wannabeadmin",
+        password: "Password123!",
+        confirmPassword: "Password123!",
+        role: "ADMIN",
+      });
+
+    expect(res.statusCode).toEqual(403);
+  });
+
+  it("should not accept an unknown invitation code", async () => {
+    const res = await request(app)
+      .post("/users/register")
+      .send({
+        username: "wannabeorganizer",
+        password: "Password123!",
+        confirmPassword: "Password123!",
+        role: "ORGANIZER",
+        invitationCode: "not-a-real-code",
+      });
+
+    expect(res.statusCode).toEqual(403);
+  });
+});
+
+describe("Password Reset", () => {
+  const sent = [];
+  const tokenFrom = (message) => message.text.match(/token=([a-f0-9]+)/)[1];
+
+  beforeAll(() => {
+    app.locals.mailTransport = { send: async (message) => sent.push(message) };
+  });
+
+  it("should send a verification email on registration", async () => {
+    const res = await request(app)
+      .post("/users/register")
+      .send({
+        username: "resetuser",
+        password: "Password123!",
+        confirmPassword: "Password123!",
+        email: "resetuser@example.com",
+      });
+
+    expect(res.statusCode).toEqual(201);
+    expect(sent).toHaveLength(1);
+
+    const verify = await request(app)
+      .post("/users/verify-email")
+      .send({ token: tokenFrom(sent[0]) });
+    expect(verify.statusCode).toEqual(200);
+  });
+
+  it("should reset the password with a one-time token", async () => {
+    const forgot = await request(app)
+      .post("/users/forgot-password")
+      .send({ email: "resetuser@example.com" });
+    expect(forgot.statusCode).toEqual(200);
+
+    const token = tokenFrom(sent[sent.length - 1]);
+    const reset = await request(app)
+      .post("/users/reset-password")
+      .send({ token, newPassword: "NewPassword1!", confirmPassword: "NewPassword1!" });
+    expect(reset.statusCode).toEqual(200);
+
+    // The token cannot be used twice
+    const again = await request(app)
+      .post("/users/reset-password")
+      .send({ token, newPassword: "Other123!", confirmPassword: "Other123!" });
+    expect(again.statusCode).toEqual(400);
+
+    const login = await request(app)
+      .post("/users/login")
+      .send({ username: "resetuser", password: "NewPassword1!" });
+    expect(login.statusCode).toEqual(200);
+  });
+
+  it("should create the account even if the verification email fails", async () => {
+    const transport = app.locals.mailTransport;
+    app.locals.mailTransport = failingTransport;
+
+    const res = await request(app)
+      .post("/users/register")
+      .send({
+        username: "nomailuser",
+        password: "Password123!",
+        confirmPassword: "Password123!",
+        email: "nomailuser@example.com",
+      });
+    app.locals.mailTransport = transport;
+
+    expect(res.statusCode).toEqual(201);
+    expect(await mongoose.model("User").exists({ username: "nomailuser" })).toBeTruthy();
+  });
+
+  it("should answer a reset request the same way when the email fails", async () => {
+    const transport = app.locals.mailTransport;
+    app.locals.mailTransport = failingTransport;
+
+    const [known, unknown] = await Promise.all([
+      request(app).post("/users/forgot-password").send({ email: "resetuser@example.com" }),
+      request(app).post("/users/forgot-password").send({ email: "nobody@example.com" }),
+    ]);
+    app.locals.mailTransport = transport;
+
+    expect(known.statusCode).toEqual(200);
+    expect(known.text).toEqual(unknown.text);
+  });
+});
+
+describe("Account Lockout", () => {
+  beforeAll(async () => {
+    await request(app)
+      .post("/users/register")
+      .send({
+        username: "lockeduser",
+        password: "Password123!",
+        confirmPassword: "Password123!",
+      });
+    await createUser("racinguser");
+  });
+
+  it("should lock the account temporarily after repeated failures", async () => {
+    let res;
+    for (let i = 0; i < 5; i++) {
+      res = await request(app)
+        .post("/users/login")
+        .send({ username: "lockeduser", password: "wrong" });
+    }
+    expect(res.statusCode).toEqual(400);
+
+    // Even the right password is refused while locked, with the same answer
+    // an unknown username gets
+    const locked = await request(app)
+      .post("/users/login")
+      .send({ username: "lockeduser", password: "Password123!" });
+    const unknown = await request(app)
+      .post("/users/login")
+      .send({ username: "nosuchuser", password: "Password123!" });
+    expect(locked.statusCode).toEqual(400);
+    expect(locked.text).toEqual(unknown.text);
+
+    // The account is locked, not deactivated
+    const user = await mongoose.model("User").findOne({ username: "lockeduser" });
+    expect(user.lockedUntil.getTime()).toBeGreaterThan(Date.now());
+    expect(user.accountStatus).toEqual("ACTIVE");
+  });
+
+  it("should count parallel failed attempts", async () => {
+    await Promise.all(
+      Array.from({ length: 3 }, () =>
+        request(app).post("/users/login").send({ username: "racinguser", password: "wrong" })
+      )
+    );
+
+    const user = await mongoose.model("User").findOne({ username: "racinguser" });
+    expect(user.failedPasswordAttempts).toEqual(3);
+  });
+});
+
+describe("Festival Memberships", () => {
+  let ownerToken;
+  let otherToken;
+  let festivalId;
+
+  beforeAll(async () => {
+    await createUser("organizerA", { role: "ORGANIZER" });
+    await createUser("organizerB", { role: "ORGANIZER" });
+    ownerToken = await login("organizerA");
+    otherToken = await login("organizerB");
+
+    festivalId = (await createFestival(ownerToken, { name: "Scoped Fest" }))._id;
+  });
+
+  it("should not let an unrelated organizer advance the festival", async () => {
+    const res = await request(app)
+      .post(`/festivals/${festivalId}/start-submission`)
+      .set("Authorization", `Bearer ${otherToken}`);
+
+    expect(res.statusCode).toEqual(403);
+  });
+
+  it("should let the festival's organizer advance the festival", async () => {
+    const res = await request(app)
+      .post(`/festivals/${festivalId}/start-submission`)
+      .set("Authorization", `Bearer ${ownerToken}`);
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.state).toEqual("SUBMISSION");
+  });
+
+  it("should backfill memberships for organizers of older festivals", async () => {
+    const owner = await mongoose.model("User").findOne({ username: "organizerB" });
+    const { insertedId } = await mongoose
+      .model("Festival")
+      .collection.insertOne({ name: "Legacy Fest", state: "CREATED", organizers: [owner._id] });
+
+    await mongoose.model("Migration").deleteOne({ _id: "backfill-festival-memberships" });
+    await app.locals.runMigrations();
+
+    const res = await request(app)
+      .put(`/festivals/${insertedId}`)
+      .set("Authorization", `Bearer ${otherToken}`)
+      .send({ venue: "Old Town" });
+    expect(res.statusCode).toEqual(200);
+  });
+
+  it("should run a migration again after an interrupted run", async () => {
+    const Migration = mongoose.model("Migration");
+    const owner = await mongoose.model("User").findOne({ username: "organizerB" });
+    const { insertedId } = await mongoose
+      .model("Festival")
+      .collection.insertOne({ name: "Interrupted Fest", state: "CREATED", organizers: [owner._id] });
+
+    // A run that stopped halfway leaves an expired lease and no appliedAt
+    await Migration.replaceOne(
+      { _id: "backfill-festival-memberships" },
+      { leaseUntil: new Date(Date.now() - 1000) }
+    );
+    await app.locals.runMigrations();
+
+    const migration = await Migration.findById("backfill-festival-memberships");
+    expect(migration.appliedAt).toBeDefined();
+    expect(migration.leaseUntil).toBeUndefined();
+
+    const res = await request(app)
+      .put(`/festivals/${insertedId}`)
+      .set("Authorization", `Bearer ${otherToken}`)
+      .send({ venue: "New Town" });
+    expect(res.statusCode).toEqual(200);
+  });
+});
+
+describe("User Directory", () => {
+  let adminToken;
+
+  beforeAll(async () => {
+    await createUser("directoryadmin", { role: "ADMIN" });
+    await createUser("organizerA", { role: "ORGANIZER" });
+    await createUser("organizerB", { role: "ORGANIZER" });
+    adminToken = await login("directoryadmin");
+  });
+
+  it("should filter users by username prefix and paginate", async () => {
+    const res = await request(app)
+      .get("/users?username=organizer&limit=1")
+      .set("Authorization", `Bearer ${adminToken}`);
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.users).toHaveLength(1);
+    expect(res.body.users[0]).not.toHaveProperty("password");
+
+    const next = await request(app)
+      .get(`/users?username=organizer&limit=1&cursor=${res.body.nextCursor}`)
+      .set("Authorization", `Bearer ${adminToken}`);
+    expect(next.body.users[0].username).not.toEqual(res.body.users[0].username);
+  });
+});
+
+describe("User Deletion", () => {
+  let adminToken;
+
+  beforeAll(async () => {
+    await createUser("directoryadmin", { role: "ADMIN" });
+    adminToken = await login("directoryadmin");
+  });
+
+  it("should not delete the last organizer of a festival", async () => {
+    const organizer = await createUser("soleorganizer", { role: "ORGANIZER" });
+    await createFestival(await login("soleorganizer"), { name: "Sole Fest" });
+
+    const res = await request(app)
+      .delete(`/users/${organizer._id}`)
+      .set("Authorization", `Bearer ${adminToken}`);
+
+    expect(res.statusCode).toEqual(409);
+    expect(res.body.festivals).toContain("Sole Fest");
+  });
+
+  it("should anonymise the user instead of removing the document", async () => {
+    const User = mongoose.model("User");
+    const user = await createUser("departinguser");
+    await User.updateOne(
+      { _id: user._id },
+      {
+        description: "Plays bass",
+        genreExpertise: ["Jazz"],
+        twoFactor: { enabled: true, secret: "secret", recoveryCodes: ["hash"] },
+      }
+    );
+
+    const exported = await request(app)
+      .get(`/users/${user._id}/export`)
+      .set("Authorization", `Bearer ${adminToken}`);
+    expect(exported.statusCode).toEqual(200);
+    expect(exported.headers["content-disposition"]).toContain("attachment");
+
+    const res = await request(app)
+      .delete(`/users/${user._id}`)
+      .set("Authorization", `Bearer ${adminToken}`);
+    expect(res.statusCode).toEqual(200);
+
+    const deleted = await User.findById(user._id);
+    expect(deleted.deletedAt).toBeDefined();
+    expect(deleted.username).toEqual(`deleted-${user._id}`);
+    expect(deleted.description).toBeUndefined();
+    expect(deleted.genreExpertise).toEqual([]);
+    expect(deleted.twoFactor?.secret).toBeUndefined();
+    expect(deleted.twoFactor?.recoveryCodes ?? []).toEqual([]);
+  });
+
+  it("should only hand over festivals the user organizes alone", async () => {
+    const Festival = mongoose.model("Festival");
+    const Membership = mongoose.model("Membership");
+    const [leaving, staying, heir] = await Promise.all(
+      ["leavingorg", "stayingorg", "heirorg"].map((username) =>
+        createUser(username, { role: "ORGANIZER" })
+      )
+    );
+    const solo = await new Festival({ name: "Solo Fest", organizers: [leaving._id] }).save();
+    const shared = await new Festival({
+      name: "Shared Fest",
+      organizers: [leaving._id, staying._id],
+    }).save();
+    await Membership.insertMany([
+      { user: leaving._id, festival: solo._id, role: "ORGANIZER" },
+      { user: leaving._id, festival: shared._id, role: "ORGANIZER" },
+      { user: staying._id, festival: shared._id, role: "ORGANIZER" },
+    ]);
+
+    const res = await request(app)
+      .delete(`/users/${leaving._id}`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ reassignTo: heir._id });
+    expect(res.statusCode).toEqual(200);
+
+    const [soloAfter, sharedAfter] = await Promise.all([
+      Festival.findById(solo._id),
+      Festival.findById(shared._id),
+    ]);
+    expect(soloAfter.organizers.map(String)).toEqual([heir._id.toString()]);
+    expect(sharedAfter.organizers.map(String)).toEqual([staying._id.toString()]);
+  });
+});
+
+describe("API Keys", () => {
+  let adminToken;
+  let apiKey;
+
+  beforeAll(async () => {
+    await createUser("directoryadmin", { role: "ADMIN" });
+    adminToken = await login("directoryadmin");
+
+    const account = await request(app)
+      .post("/service-accounts")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ username: "website-build" });
+
+    const key = await request(app)
+      .post(`/service-accounts/${account.body._id}/keys`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ name: "ci", scopes: ["performances:read"] });
+    apiKey = key.body.key;
+  });
+
+  it("should accept an API key on a route with a matching scope", async () => {
+    const res = await request(app)
+      .get("/performances/search")
+      .set("X-API-Key", apiKey);
+
+    expect(res.statusCode).toEqual(200);
+  });
+
+  it("should reject an API key on routes outside its scopes", async () => {
+    const res = await request(app)
+      .get("/users")
+      .set("X-API-Key", apiKey);
+
+    expect(res.statusCode).toEqual(403);
+  });
+});
+
+describe("Two-Factor Authentication", () => {
+  const crypto = require("crypto");
+  const alphabet = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+  // Minimal TOTP generator for the tests (RFC 6238, SHA-1, 6 digits)
+  const totp = (base32Secret, offset = 0) => {
+    let bits = "";
+    for (const char of base32Secret) {
+      bits += alphabet.indexOf(char).toString(2).padStart(5, "0");
+    }
+    const key = Buffer.from(bits.match(/.{8}/g).map((byte) => parseInt(byte, 2)));
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(Math.floor(Date.now() / 30000) + offset));
+    const hmac = crypto.createHmac("sha1", key).update(counter).digest();
+    const start = hmac[hmac.length - 1] & 0xf;
+    return String((hmac.readUInt32BE(start) & 0x7fffffff) % 1e6).padStart(6, "0");
+  };
+
+  let token;
+  let secret;
+
+  beforeAll(async () => {
+    await createUser("twofactoruser");
+    token = await login("twofactoruser");
+  });
+
+  it("should enable 2FA after confirming a code", async () => {
+    const enroll = await request(app)
+      .post("/users/2fa/enroll")
+      .set("Authorization", `Bearer ${token}`);
+    expect(enroll.statusCode).toEqual(200);
+    secret = enroll.body.secret;
+
+    const confirm = await request(app)
+      .post("/users/2fa/confirm")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ code: totp(secret, -1) });
+    expect(confirm.statusCode).toEqual(200);
+    expect(confirm.body.recoveryCodes).toHaveLength(10);
+  });
+
+  it("should require the second step on login", async () => {
+    const login = await request(app)
+      .post("/users/login")
+      .send({ username: "twofactoruser", password: "Password123!" });
+    expect(login.body.twoFactorRequired).toBe(true);
+    expect(login.body).not.toHaveProperty("token");
+
+    const second = await request(app)
+      .post("/users/login/2fa")
+      .send({ challengeToken: login.body.challengeToken, code: totp(secret) });
+    expect(second.statusCode).toEqual(200);
+    expect(second.body).toHaveProperty("token");
+  });
+});
+
+describe("Artist Profiles", () => {
+  let token;
+
+  beforeAll(async () => {
+    await createUser("profileartist", { role: "ARTIST" });
+    token = await login("profileartist");
+  });
+
+  it("should let an artist edit their profile", async () => {
+    const res = await request(app)
+      .put("/artists/me")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ displayName: "The Leaders", homeCity: "Patras", genres: ["rock"] });
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.displayName).toEqual("The Leaders");
+  });
+
+  it("should show the public artist page", async () => {
+    const res = await request(app).get("/artists/profileartist");
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.profile.homeCity).toEqual("Patras");
+    expect(res.body.performances).toEqual([]);
+  });
+});
+
+describe("Festival Transitions", () => {
+  let token;
+  let festivalId;
+
+  beforeAll(async () => {
+    await createUser("organizerA", { role: "ORGANIZER" });
+    token = await login("organizerA");
+
+    festivalId = (await createFestival(token, { name: "Lifecycle Fest" }))._id;
+  });
+
+  it("should list the transitions allowed from the current phase", async () => {
+    const res = await request(app)
+      .get(`/festivals/${festivalId}/transitions`)
+      .set("Authorization", `Bearer ${token}`);
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.state).toEqual("CREATED");
+    expect(res.body.transitions).toEqual([
+      { action: "start-submission", to: "SUBMISSION", allowed: true, unmet: [] },
+    ]);
+  });
+
+  it("should refuse a transition from the wrong phase", async () => {
+    const res = await request(app)
+      .post(`/festivals/${festivalId}/announce`)
+      .set("Authorization", `Bearer ${token}`);
+
+    expect(res.statusCode).toEqual(400);
+  });
+});
+
+describe("Phase Deadlines", () => {
+  let token;
+  let festivalId;
+
+  beforeAll(async () => {
+    await createUser("organizerA", { role: "ORGANIZER" });
+    token = await login("organizerA");
+
+    festivalId = (await createFestival(token, { name: "Deadline Fest" }))._id;
+  });
+
+  it("should reject deadlines that are out of order", async () => {
+    const res = await request(app)
+      .put(`/festivals/${festivalId}/deadlines`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({
+        deadlines: { CREATED: "2099-02-01", SUBMISSION: "2099-01-01" },
+      });
+
+    expect(res.statusCode).toEqual(400);
+  });
+
+  it("should advance the festival once its deadline has passed", async () => {
+    const Festival = mongoose.model("Festival");
+    await Festival.updateOne(
+      { _id: festivalId },
+      { "deadlines.CREATED": new Date(Date.now() - 1000) }
+    );
+
+    await app.locals.runDeadlineScheduler();
+    // A second pass must not move it any further
+    await app.locals.runDeadlineScheduler();
+
+    const festival = await Festival.findById(festivalId);
+    expect(festival.state).toEqual("SUBMISSION");
+    expect(festival.stateHistory.pop().automatic).toBe(true);
+  });
+
+  it("should finish the effects of an interrupted transition", async () => {
+    const Festival = mongoose.model("Festival");
+    const Performance = mongoose.model("Performance");
+    const organizer = await mongoose.model("User").findOne({ username: "organizerA" });
+
+    // The process stopped after entering DECISION but before rejecting anything
+    const festival = await new Festival({
+      name: "Interrupted Fest",
+      state: "DECISION",
+      stateHistory: [
+        { from: "FINAL_SUBMISSION", to: "DECISION", action: "start-decision", effectsPending: true },
+      ],
+    }).save();
+    const performance = await new Performance({
+      festival: festival._id,
+      name: "Never Finalised",
+      creator: organizer._id,
+      state: "APPROVED",
+    }).save();
+
+    await app.locals.runDeadlineScheduler();
+
+    expect((await Performance.findById(performance._id)).state).toEqual("REJECTED");
+    const after = await Festival.findById(festival._id);
+    expect(after.stateHistory[0].effectsPending).toBeUndefined();
+  });
+});
+
+describe("Festival Listing", () => {
+  beforeAll(async () => {
+    await createUser("organizerA", { role: "ORGANIZER" });
+    const token = await login("organizerA");
+    const festival = await createFestival(token, { name: "Listed Fest" });
+    await request(app)
+      .post(`/festivals/${festival._id}/start-submission`)
+      .set("Authorization", `Bearer ${token}`);
+  });
+
+  it("should list festivals in SUBMISSION without ids for anonymous callers", async () => {
+    const res = await request(app).get("/festivals?state=SUBMISSION&sort=name");
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.festivals.length).toBeGreaterThan(0);
+    res.body.festivals.forEach((festival) => {
+      expect(festival.state).toEqual("SUBMISSION");
+      expect(festival).not.toHaveProperty("_id");
+      expect(festival).not.toHaveProperty("stateHistory");
+    });
+  });
+
+  it("should search festivals by name", async () => {
+    const res = await request(app).get("/festivals?q=listed");
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.festivals.map((festival) => festival.name)).toEqual(["Listed Fest"]);
+  });
+});
+
+describe("Co-Organizers", () => {
+  let ownerToken;
+  let inviteeToken;
+  let festival;
+
+  beforeAll(async () => {
+    await createUser("organizerA", { role: "ORGANIZER" });
+    await createUser("organizerB", { role: "ORGANIZER" });
+    ownerToken = await login("organizerA");
+    inviteeToken = await login("organizerB");
+    festival = await createFestival(ownerToken, { name: "Co-Organized Fest" });
+  });
+
+  it("should let an invited user co-organize after accepting", async () => {
+    const invite = await request(app)
+      .post(`/festivals/${festival._id}/organizers/invite`)
+      .set("Authorization", `Bearer ${ownerToken}`)
+      .send({ username: "organizerB" });
+    expect(invite.statusCode).toEqual(201);
+
+    const accept = await request(app)
+      .post(`/organizer-invitations/${invite.body._id}/accept`)
+      .set("Authorization", `Bearer ${inviteeToken}`);
+    expect(accept.statusCode).toEqual(200);
+
+    const res = await request(app)
+      .get(`/festivals/${festival._id}/organizers`)
+      .set("Authorization", `Bearer ${inviteeToken}`);
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.organizers).toHaveLength(2);
+  });
+
+  it("should protect the last organizer", async () => {
+    const invitee = await mongoose.model("User").findOne({ username: "organizerB" });
+    const owner = await mongoose.model("User").findOne({ username: "organizerA" });
+
+    const remove = await request(app)
+      .delete(`/festivals/${festival._id}/organizers/${invitee._id}`)
+      .set("Authorization", `Bearer ${ownerToken}`);
+    expect(remove.statusCode).toEqual(200);
+
+    const leave = await request(app)
+      .delete(`/festivals/${festival._id}/organizers/${owner._id}`)
+      .set("Authorization", `Bearer ${ownerToken}`);
+    expect(leave.statusCode).toEqual(400);
+  });
+
+  it("should keep the invitation when the email cannot be sent", async () => {
+    await createUser("mailedorganizer", {
+      role: "ORGANIZER",
+      email: "mailedorganizer@example.com",
+      emailVerified: true,
+    });
+    const transport = app.locals.mailTransport;
+    app.locals.mailTransport = failingTransport;
+
+    const res = await request(app)
+      .post(`/festivals/${festival._id}/organizers/invite`)
+      .set("Authorization", `Bearer ${ownerToken}`)
+      .send({ username: "mailedorganizer" });
+    app.locals.mailTransport = transport;
+
+    expect(res.statusCode).toEqual(201);
+    expect(res.body.status).toEqual("PENDING");
+    expect(res.body.mailError).toBeDefined();
+  });
+});
+
+describe("Festival Editions", () => {
+  let token;
+  let source;
+
+  beforeAll(async () => {
+    await createUser("organizerA", { role: "ORGANIZER" });
+    token = await login("organizerA");
+    source = await createFestival(token, { name: "Edition Fest", venue: "Main Square" });
+  });
+
+  it("should clone a festival as the next edition of its series", async () => {
+    const res = await request(app)
+      .post(`/festivals/${source._id}/clone`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ name: "Edition Fest 2", shiftDays: 365 });
+
+    expect(res.statusCode).toEqual(201);
+    expect(res.body.festival.state).toEqual("CREATED");
+    expect(res.body.festival.venue).toEqual("Main Square");
+    expect(res.body.festival.edition).toEqual(2);
+
+    const editions = await request(app)
+      .get(`/festivals/${res.body.festival._id}/editions`)
+      .set("Authorization", `Bearer ${token}`);
+    expect(editions.body.map((edition) => edition.name)).toEqual([
+      "Edition Fest",
+      "Edition Fest 2",
+    ]);
+  });
+
+  it("should invite artists back without granting them a role", async () => {
+    const artist = await createUser("returningartist", {
+      role: "ARTIST",
+      email: "returningartist@example.com",
+      emailVerified: true,
+    });
+    await new (mongoose.model("Performance"))({
+      festival: source._id,
+      name: "Last Year's Hit",
+      creator: artist._id,
+      state: "SCHEDULED",
+    }).save();
+
+    const transport = app.locals.mailTransport;
+    app.locals.mailTransport = failingTransport;
+    const res = await request(app)
+      .post(`/festivals/${source._id}/clone`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ name: "Edition Fest 3", inviteArtists: true });
+    app.locals.mailTransport = transport;
+
+    expect(res.statusCode).toEqual(201);
+    expect(res.body.mailErrors).toEqual(["returningartist"]);
+    expect(
+      await mongoose
+        .model("Membership")
+        .exists({ user: artist._id, festival: res.body.festival._id })
+    ).toBeNull();
+  });
+});
+
+describe("Festival Stages", () => {
+  let token;
+  let festivalId;
+
+  beforeAll(async () => {
+    await createUser("organizerA", { role: "ORGANIZER" });
+    token = await login("organizerA");
+
+    const festival = await createFestival(token, {
+      name: "Stage Fest",
+      venue: "Harbour",
+      dates: { start: "2099-07-01", end: "2099-07-03" },
+    });
+    festivalId = festival._id;
+  });
+
+  it("should add a stage with opening hours", async () => {
+    const res = await request(app)
+      .post(`/festivals/${festivalId}/stages`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({
+        name: "Main Stage",
+        capacity: 5000,
+        changeoverMinutes: 30,
+        openingHours: [{ date: "2099-07-01", opens: "18:00", closes: "02:00" }],
+        technicalSpecs: { pa: "L-Acoustics K2" },
+      });
+
+    expect(res.statusCode).toEqual(201);
+    expect(res.body.name).toEqual("Main Stage");
+  });
+
+  it("should reject opening days outside the festival dates", async () => {
+    const res = await request(app)
+      .post(`/festivals/${festivalId}/stages`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({
+        name: "Side Stage",
+        openingHours: [{ date: "2099-08-01", opens: "12:00", closes: "20:00" }],
+      });
+
+    expect(res.statusCode).toEqual(400);
+  });
+});
+
+describe("Festival Rollback", () => {
+  let token;
+  let festivalId;
+
+  beforeAll(async () => {
+    await createUser("organizerA", { role: "ORGANIZER" });
+    token = await login("organizerA");
+
+    festivalId = (await createFestival(token, { name: "Rollback Fest" }))._id;
+  });
+
+  it("should refuse to roll back a festival without a previous phase", async () => {
+    const res = await request(app)
+      .post(`/festivals/${festivalId}/rollback`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ reason: "Opened too early" });
+
+    expect(res.statusCode).toEqual(400);
+  });
+
+  it("should require a reason", async () => {
+    await request(app)
+      .post(`/festivals/${festivalId}/start-submission`)
+      .set("Authorization", `Bearer ${token}`);
+
+    const res = await request(app)
+      .post(`/festivals/${festivalId}/rollback`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({});
+
+    expect(res.statusCode).toEqual(400);
+  });
+
+  it("should return the festival to its previous phase and record the reason", async () => {
+    const res = await request(app)
+      .post(`/festivals/${festivalId}/rollback`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ reason: "Opened too early" });
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.state).toEqual("CREATED");
+    expect(res.body.transition.message).toEqual("Festival rolled back to CREATED.");
+    const entry = res.body.stateHistory.pop();
+    expect(entry.action).toEqual("rollback");
+    expect(entry.reason).toEqual("Opened too early");
+  });
+});
+
+describe("Submission Limits", () => {
+  let token;
+  let festivalId;
+
+  beforeAll(async () => {
+    await createUser("organizerA", { role: "ORGANIZER" });
+    token = await login("organizerA");
+
+    festivalId = (await createFestival(token, { name: "Limits Fest" }))._id;
+
+    await request(app)
+      .put(`/festivals/${festivalId}`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({
+        submissionLimits: { maxPerCreator: 1, minDuration: 20, maxDuration: 90 },
+      });
+  });
+
+  it("should reject a performance outside the duration limits", async () => {
+    const res = await request(app)
+      .post("/performances")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ festival: festivalId, name: "Marathon Set", genre: "Rock", duration: 240 });
+
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.limit).toEqual("maxDuration");
+  });
+
+  it("should enforce the per-artist quota", async () => {
+    const first = await request(app)
+      .post("/performances")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ festival: festivalId, name: "First Set", genre: "Rock", duration: 45 });
+    expect(first.statusCode).toEqual(201);
+
+    const res = await request(app)
+      .post("/performances")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ festival: festivalId, name: "Second Set", genre: "Rock", duration: 45 });
+
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.limit).toEqual("maxPerCreator");
+  });
+
+  it("should not let concurrent submissions exceed the quota", async () => {
+    const festival = await createFestival(token, { name: "Crowded Fest" });
+    await request(app)
+      .put(`/festivals/${festival._id}`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ submissionLimits: { maxSubmissions: 1 } });
+
+    const responses = await Promise.all(
+      ["Rush Set A", "Rush Set B", "Rush Set C"].map((name) =>
+        request(app)
+          .post("/performances")
+          .set("Authorization", `Bearer ${token}`)
+          .send({ festival: festival._id, name, genre: "Rock", duration: 45 })
+      )
+    );
+
+    expect(responses.filter((res) => res.statusCode === 201)).toHaveLength(1);
+    const count = await mongoose
+      .model("Performance")
+      .countDocuments({ festival: festival._id });
+    expect(count).toEqual(1);
+  });
+
+  it("should reject a non-positive duration without any festival limits", async () => {
+    const festival = await createFestival(token, { name: "Unlimited Fest" });
+
+    const res = await request(app)
+      .post("/performances")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ festival: festival._id, name: "Silent Set", duration: 0 });
+
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.limit).toEqual("duration");
+  });
+});
+
+describe("Festival Lineup", () => {
+  let token;
+  let festivalId;
+
+  beforeAll(async () => {
+    await createUser("organizerA", { role: "ORGANIZER" });
+    token = await login("organizerA");
+
+    const festival = await createFestival(token, { name: "Lineup Fest", venue: "Old Port" });
+    festivalId = festival._id;
+  });
+
+  it("should hide the lineup from the public before the announcement", async () => {
+    const res = await request(app).get(`/festivals/${festivalId}/lineup`);
+
+    expect(res.statusCode).toEqual(404);
+  });
+
+  it("should let organizers preview the lineup as CSV", async () => {
+    const res = await request(app)
+      .get(`/festivals/${festivalId}/lineup?format=csv`)
+      .set("Authorization", `Bearer ${token}`);
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.headers["content-type"]).toMatch(/text\/csv/);
+    expect(res.text.split("\r\n")[0]).toEqual(
+      "date,start,end,stage,performance,artists,genre"
+    );
+  });
+
+  it("should reject unknown formats", async () => {
+    const res = await request(app)
+      .get(`/festivals/${festivalId}/lineup?format=pdf`)
+      .set("Authorization", `Bearer ${token}`);
+
+    expect(res.statusCode).toEqual(400);
+  });
+
+  describe("with scheduled performances", () => {
+    let stageId;
+    const performanceIds = [];
+
+    beforeAll(async () => {
+      const stage = await request(app)
+        .post(`/festivals/${festivalId}/stages`)
+        .set("Authorization", `Bearer ${token}`)
+        .send({
+          name: "Harbour Stage",
+          changeoverMinutes: 30,
+          openingHours: [{ date: "2099-07-01", opens: "18:00", closes: "02:00" }],
+        });
+      stageId = stage.body._id;
+
+      for (const [name, duration] of [["Opening Act", 60], ["Late Show", 45]]) {
+        const performance = await request(app)
+          .post("/performances")
+          .set("Authorization", `Bearer ${token}`)
+          .send({ festival: festivalId, name, genre: "Jazz", duration });
+        performanceIds.push(performance.body._id);
+      }
+
+      // Skip the earlier phases; the decision is what is under test
+      await mongoose
+        .model("Performance")
+        .updateMany({ _id: { $in: performanceIds } }, { state: "FINAL_SUBMITTED" });
+      await mongoose.model("Festival").updateOne({ _id: festivalId }, { state: "DECISION" });
+    });
+
+    it("should schedule a finally submitted performance in a free slot", async () => {
+      const res = await request(app)
+        .post(`/performances/${performanceIds[0]}/accept`)
+        .set("Authorization", `Bearer ${token}`)
+        .send({ stage: stageId, startsAt: "2099-07-01T20:00:00Z" });
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.performance.state).toEqual("SCHEDULED");
+      expect(res.body.performance.scheduledSlot.end).toEqual("2099-07-01T21:00:00.000Z");
+    });
+
+    it("should refuse slots outside opening hours or within the changeover", async () => {
+      const early = await request(app)
+        .post(`/performances/${performanceIds[1]}/accept`)
+        .set("Authorization", `Bearer ${token}`)
+        .send({ stage: stageId, startsAt: "2099-07-01T17:00:00Z" });
+      expect(early.statusCode).toEqual(409);
+
+      const clash = await request(app)
+        .post(`/performances/${performanceIds[1]}/accept`)
+        .set("Authorization", `Bearer ${token}`)
+        .send({ stage: stageId, startsAt: "2099-07-01T21:15:00Z" });
+      expect(clash.statusCode).toEqual(409);
+
+      const late = await request(app)
+        .post(`/performances/${performanceIds[1]}/accept`)
+        .set("Authorization", `Bearer ${token}`)
+        .send({ stage: stageId, startsAt: "2099-07-01T23:30:00Z" });
+      expect(late.statusCode).toEqual(200);
+    });
+
+    it("should not let organizers move a scheduled performance outside /accept", async () => {
+      const res = await request(app)
+        .put(`/performances/${performanceIds[0]}`)
+        .set("Authorization", `Bearer ${token}`)
+        .send({ duration: 120 });
+
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.rejectedFields[0].field).toEqual("duration");
+    });
+
+    it("should publish the lineup grouped by day and stage", async () => {
+      const announced = await request(app)
+        .post(`/festivals/${festivalId}/announce`)
+        .set("Authorization", `Bearer ${token}`);
+      expect(announced.body.festival.state).toEqual("ANNOUNCED");
+      expect(announced.body.message).toContain("locked");
+
+      const res = await request(app).get(`/festivals/${festivalId}/lineup`);
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.days).toHaveLength(1);
+      expect(res.body.days[0].date).toEqual("2099-07-01");
+      expect(res.body.days[0].stages).toHaveLength(1);
+      expect(res.body.days[0].stages[0].stage.name).toEqual("Harbour Stage");
+      expect(
+        res.body.days[0].stages[0].performances.map((performance) => performance.name)
+      ).toEqual(["Opening Act", "Late Show"]);
+      expect(res.body.days[0].stages[0].performances[0].artists).toEqual(["organizerA"]);
+    });
+
+    it("should export the lineup as iCalendar events", async () => {
+      const res = await request(app).get(`/festivals/${festivalId}/lineup?format=ics`);
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.headers["content-type"]).toMatch(/text\/calendar/);
+      expect(res.text.match(/BEGIN:VEVENT/g)).toHaveLength(2);
+      expect(res.text).toContain("DTSTART:20990701T200000Z");
+      expect(res.text).toContain("DTEND:20990702T001500Z");
+      expect(res.text).toContain("LOCATION:Harbour Stage\\, Old Port");
+    });
+
+    it("should export the lineup as CSV rows", async () => {
+      const res = await request(app).get(`/festivals/${festivalId}/lineup?format=csv`);
+
+      expect(res.statusCode).toEqual(200);
+      const rows = res.text.trim().split("\r\n");
+      expect(rows).toHaveLength(3);
+      expect(rows[1]).toEqual(
+        "2099-07-01,2099-07-01T20:00:00.000Z,2099-07-01T21:00:00.000Z,Harbour Stage,Opening Act,organizerA,Jazz"
+      );
+    });
+  });
+});
+
+describe("Festival Archival and Deletion", () => {
+  let token;
+  let festivalId;
+
+  beforeAll(async () => {
+    await createUser("organizerA", { role: "ORGANIZER" });
+    token = await login("organizerA");
+
+    festivalId = (await createFestival(token, { name: "Archive Fest" }))._id;
+
+    await request(app)
+      .post(`/festivals/${festivalId}/start-submission`)
+      .set("Authorization", `Bearer ${token}`);
+    await request(app)
+      .post("/performances")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ festival: festivalId, name: "Archived Set", genre: "Dub", duration: 30 });
+  });
+
+  it("should refuse to delete a running festival", async () => {
+    const res = await request(app)
+      .delete(`/festivals/${festivalId}`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ confirmName: "Archive Fest" });
+
+    expect(res.statusCode).toEqual(400);
+  });
+
+  it("should make an archived festival read-only and unlisted", async () => {
+    const archive = await request(app)
+      .post(`/festivals/${festivalId}/archive`)
+      .set("Authorization", `Bearer ${token}`);
+    expect(archive.statusCode).toEqual(200);
+
+    const update = await request(app)
+      .put(`/festivals/${festivalId}`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ venue: "Elsewhere" });
+    expect(update.statusCode).toEqual(409);
+
+    const listing = await request(app).get("/festivals?q=Archive");
+    expect(listing.body.festivals).toEqual([]);
+
+    const search = await request(app).get("/performances/search?name=Archived");
+    expect(search.body).toEqual([]);
+  });
+
+  it("should require the festival name to delete it", async () => {
+    const res = await request(app)
+      .delete(`/festivals/${festivalId}`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ confirmName: "archive fest" });
+
+    expect(res.statusCode).toEqual(400);
+  });
+
+  it("should delete an archived festival with its performances", async () => {
+    const res = await request(app)
+      .delete(`/festivals/${festivalId}`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ confirmName: "Archive Fest" });
+
+    expect(res.statusCode).toEqual(200);
+    expect(await mongoose.model("Festival").exists({ _id: festivalId })).toBeNull();
+  });
+});
+
+describe("Performance Revisions", () => {
+  let token;
+  let festivalId;
+  let performanceId;
+
+  beforeAll(async () => {
+    await createUser("organizerA", { role: "ORGANIZER" });
+    token = await login("organizerA");
+
+    festivalId = (await createFestival(token, { name: "Revision Fest" }))._id;
+
+    const performance = await request(app)
+      .post("/performances")
+      .set("Authorization", `Bearer ${token}`)
+      .send({
+        festival: festival.body._id,
+        name: "Draft Set",
+        genre: "Jazz",
+        duration: 40,
+      });
+    performanceId = performance.body._id;
+
+    await request(app)
+      .put(`/performances/${performanceId}`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ duration: 50, description: "Modal jazz standards" });
+  });
+
+  it("should keep a revision for every change", async () => {
+    const res = await request(app)
+      .get(`/performances/${performanceId}/revisions`)
+      .set("Authorization", `Bearer ${token}`);
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.map((revision) => revision.action)).toEqual(["CREATE", "UPDATE"]);
+  });
+
+  it("should report field-level differences between two revisions", async () => {
+    const res = await request(app)
+      .get(`/performances/${performanceId}/revisions/diff?from=1&to=2`)
+      .set("Authorization", `Bearer ${token}`);
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.changes).toEqual([
+      { field: "duration", from: 40, to: 50 },
+      { field: "description", from: null, to: "Modal jazz standards" },
+    ]);
+  });
+
+  it("should return 404 before the performance has been reviewed", async () => {
+    const res = await request(app)
+      .get(`/performances/${performanceId}/revisions/diff?from=reviewed`)
+      .set("Authorization", `Bearer ${token}`);
+
+    expect(res.statusCode).toEqual(404);
+  });
+
+  it("should report added and removed items of list fields", async () => {
+    // Skip ahead to the final submission phase, where setlists are edited
+    await mongoose.model("Performance").updateOne({ _id: performanceId }, { state: "APPROVED" });
+    await mongoose
+      .model("Festival")
+      .updateOne({ _id: festivalId }, { state: "FINAL_SUBMISSION" });
+
+    const update = await request(app)
+      .put(`/performances/${performanceId}`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ setlist: ["So What", "Blue in Green"] });
+    expect(update.statusCode).toEqual(200);
+
+    const res = await request(app)
+      .get(`/performances/${performanceId}/revisions/diff?from=2&to=3`)
+      .set("Authorization", `Bearer ${token}`);
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.changes).toEqual([
+      {
+        field: "setlist",
+        from: [],
+        to: ["So What", "Blue in Green"],
+        added: ["So What", "Blue in Green"],
+        removed: [],
+      },
+    ]);
+  });
+});
+
+describe("Band Members", () => {
+  let leaderToken;
+  let memberToken;
+  let performanceId;
+
+  beforeAll(async () => {
+    await createUser("organizerA", { role: "ORGANIZER" });
+    await createUser("organizerB", { role: "ORGANIZER" });
+    await createUser("bandleader", { role: "ARTIST" });
+    const festival = await createFestival(await login("organizerA"), { name: "Band Fest" });
+
+    leaderToken = await login("bandleader");
+    memberToken = await login("organizerB");
+
+    const performance = await request(app)
+      .post("/performances")
+      .set("Authorization", `Bearer ${leaderToken}`)
+      .send({
+        festival: festival._id,
+        name: "Leaders Live",
+        genre: "Rock",
+        duration: 60,
+        bandMembers: ["organizerB"],
+      });
+    performanceId = performance.body._id;
+  });
+
+  it("should invite band members instead of adding them", async () => {
+    const res = await request(app)
+      .get("/band-invitations")
+      .set("Authorization", `Bearer ${memberToken}`);
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.map((invitation) => invitation.performance.name)).toContain(
+      "Leaders Live"
+    );
+  });
+
+  it("should not list pending invitees in search results", async () => {
+    const res = await request(app).get("/performances/search?name=Leaders");
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body[0].bandMembers).toEqual([]);
+  });
+
+  it("should let an accepted member edit but not withdraw the performance", async () => {
+    const accept = await request(app)
+      .post(`/performances/${performanceId}/members/accept`)
+      .set("Authorization", `Bearer ${memberToken}`);
+    expect(accept.statusCode).toEqual(200);
+
+    const update = await request(app)
+      .put(`/performances/${performanceId}`)
+      .set("Authorization", `Bearer ${memberToken}`)
+      .send({ description: "Loud and proud" });
+    expect(update.statusCode).toEqual(200);
+
+    const withdraw = await request(app)
+      .delete(`/performances/${performanceId}`)
+      .set("Authorization", `Bearer ${memberToken}`);
+    expect(withdraw.statusCode).toEqual(403);
+  });
+
+  it("should let a member leave the band", async () => {
+    const res = await request(app)
+      .post(`/performances/${performanceId}/members/leave`)
+      .set("Authorization", `Bearer ${memberToken}`);
+
+    expect(res.statusCode).toEqual(200);
+    const performance = await mongoose.model("Performance").findById(performanceId);
+    expect(performance.bandMembers[0].status).toEqual("LEFT");
+  });
+
+  it("should keep a band invitation when the email cannot be sent", async () => {
+    await createUser("mailedmember", {
+      role: "ARTIST",
+      email: "mailedmember@example.com",
+      emailVerified: true,
+    });
+    const transport = app.locals.mailTransport;
+    app.locals.mailTransport = failingTransport;
+
+    const res = await request(app)
+      .post(`/performances/${performanceId}/add-member`)
+      .set("Authorization", `Bearer ${leaderToken}`)
+      .send({ newMemberUsername: "mailedmember" });
+    app.locals.mailTransport = transport;
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.message).toContain("could not be sent");
+    expect(res.body.performance.bandMembers.map((member) => member.status)).toContain(
+      "INVITED"
+    );
+  });
+
+  it("should migrate band members stored as usernames", async () => {
+    const Performance = mongoose.model("Performance");
+    const current = await Performance.findById(performanceId);
+    const { insertedId } = await Performance.collection.insertOne({
+      festival: current.festival,
+      creator: current.creator,
+      name: "Legacy Live",
+      state: "CREATED",
+      bandMembers: ["organizerB"],
+    });
+
+    await mongoose.model("Migration").deleteOne({ _id: "band-members-to-subdocuments" });
+    await app.locals.runMigrations();
+
+    const migrated = await Performance.findById(insertedId);
+    expect(migrated.bandMembers).toHaveLength(1);
+    expect(migrated.bandMembers[0].status).toEqual("ACCEPTED");
+    expect(migrated.bandMembers[0].user.toString()).toEqual(
+      (await mongoose.model("User").findOne({ username: "organizerB" }))._id.toString()
+    );
+  });
+});
+
+describe("Performance Field Policy", () => {
+  let leaderToken;
+  let performanceId;
+
+  beforeAll(async () => {
+    await createUser("organizerA", { role: "ORGANIZER" });
+    await createUser("organizerB", { role: "ORGANIZER" });
+    await createUser("bandleader", { role: "ARTIST" });
+    const festival = await createFestival(await login("organizerA"), { name: "Policy Fest" });
+    leaderToken = await login("bandleader");
+
+    const performance = await request(app)
+      .post("/performances")
+      .set("Authorization", `Bearer ${leaderToken}`)
+      .send({ festival: festival._id, name: "Policy Set", genre: "Folk", duration: 30 });
+    performanceId = performance.body._id;
+  });
+
+  it("should reject protected fields and apply nothing", async () => {
+    const res = await request(app)
+      .put(`/performances/${performanceId}`)
+      .set("Authorization", `Bearer ${leaderToken}`)
+      .send({ description: "Acoustic", state: "SCHEDULED" });
+
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.rejectedFields.map((entry) => entry.field)).toEqual(["state"]);
+
+    const performance = await mongoose.model("Performance").findById(performanceId);
+    expect(performance.state).toEqual("CREATED");
+    expect(performance.description).toBeUndefined();
+  });
+
+  it("should reject final submission fields before the final submission phase", async () => {
+    const res = await request(app)
+      .put(`/performances/${performanceId}`)
+      .set("Authorization", `Bearer ${leaderToken}`)
+      .send({ setlist: ["Opening"] });
+
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.rejectedFields[0].field).toEqual("setlist");
+  });
+
+  it("should not let other artists edit the performance", async () => {
+    const res = await request(app)
+      .put(`/performances/${performanceId}`)
+      .set("Authorization", `Bearer ${await login("organizerB")}`)
+      .send({ description: "Hijacked" });
+
+    expect(res.statusCode).toEqual(403);
+  });
+});
+
+describe("Multiple Reviews", () => {
+  let organizerToken;
+  let reviewerTokens;
+  let reviewers;
+  let festivalId;
+  let performanceId;
+
+  beforeAll(async () => {
+    reviewers = [
+      await createUser("reviewerOne", { role: "STAFF" }),
+      await createUser("reviewerTwo", { role: "STAFF" }),
+    ];
+    await createUser("organizerA", { role: "ORGANIZER" });
+    await createUser("bandleader", { role: "ARTIST" });
+    organizerToken = await login("organizerA");
+    reviewerTokens = [await login("reviewerOne"), await login("reviewerTwo")];
+
+    festivalId = (await createFestival(organizerToken, { name: "Review Fest" }))._id;
+    await request(app)
+      .put(`/festivals/${festivalId}`)
+      .set("Authorization", `Bearer ${organizerToken}`)
+      .send({ requiredReviews: 2 });
+    for (const username of ["reviewerOne", "reviewerTwo"]) {
+      await request(app)
+        .post(`/festivals/${festivalId}/members`)
+        .set("Authorization", `Bearer ${organizerToken}`)
+        .send({ username, role: "STAFF" });
+    }
+
+    const performance = await request(app)
+      .post("/performances")
+      .set("Authorization", `Bearer ${await login("bandleader")}`)
+      .send({ festival: festivalId, name: "Split Decision", genre: "Pop", duration: 30 });
+    performanceId = performance.body._id;
+    await mongoose
+      .model("Performance")
+      .updateOne({ _id: performanceId }, { state: "SUBMITTED" });
+
+    const assigned = await request(app)
+      .post(`/performances/${performanceId}/assign-staff`)
+      .set("Authorization", `Bearer ${organizerToken}`)
+      .send({ staffIds: reviewers.map((reviewer) => reviewer._id) });
+    expect(assigned.body.name).toEqual("Split Decision");
+  });
+
+  it("should only unassign reviewers during assignment or with a replacement", async () => {
+    const outside = await request(app)
+      .delete(`/performances/${performanceId}/reviewers/${reviewers[1]._id}`)
+      .set("Authorization", `Bearer ${organizerToken}`);
+    expect(outside.statusCode).toEqual(400);
+
+    await mongoose.model("Festival").updateOne({ _id: festivalId }, { state: "REVIEW" });
+    const withoutReplacement = await request(app)
+      .delete(`/performances/${performanceId}/reviewers/${reviewers[1]._id}`)
+      .set("Authorization", `Bearer ${organizerToken}`);
+    expect(withoutReplacement.statusCode).toEqual(400);
+    const reviews = await mongoose.model("Review").find({ performance: performanceId });
+    expect(reviews).toHaveLength(2);
+  });
+
+  it("should only accept reviews from assigned reviewers", async () => {
+    const res = await request(app)
+      .post(`/performances/${performanceId}/review`)
+      .set("Authorization", `Bearer ${organizerToken}`)
+      .send({ score: 10, comments: "Organizer's pick" });
+
+    expect(res.statusCode).toEqual(403);
+  });
+
+  it("should reject scores above the maximum", async () => {
+    const res = await request(app)
+      .post(`/performances/${performanceId}/review`)
+      .set("Authorization", `Bearer ${reviewerTokens[0]}`)
+      .send({ score: 11, comments: "Off the charts" });
+
+    expect(res.statusCode).toEqual(400);
+  });
+
+  it("should wait for the required number of reviews", async () => {
+    const res = await request(app)
+      .post(`/performances/${performanceId}/review`)
+      .set("Authorization", `Bearer ${reviewerTokens[0]}`)
+      .send({ score: 9, comments: "Great energy" });
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.performance.state).toEqual("SUBMITTED");
+  });
+
+  it("should hide other reviewers' scores in the revision history", async () => {
+    const [artist, otherReviewer] = await Promise.all([
+      request(app)
+        .get(`/performances/${performanceId}/revisions`)
+        .set("Authorization", `Bearer ${await login("bandleader")}`),
+      request(app)
+        .get(`/performances/${performanceId}/revisions`)
+        .set("Authorization", `Bearer ${reviewerTokens[1]}`),
+    ]);
+
+    for (const res of [artist, otherReviewer]) {
+      expect(res.statusCode).toEqual(200);
+      const reviewed = res.body.find((revision) => revision.action === "REVIEW");
+      expect(reviewed).not.toHaveProperty("review");
+      expect(reviewed).not.toHaveProperty("by");
+    }
+  });
+
+  it("should flag strongly disagreeing reviews", async () => {
+    const res = await request(app)
+      .post(`/performances/${performanceId}/review`)
+      .set("Authorization", `Bearer ${reviewerTokens[1]}`)
+      .send({ score: 2, comments: "Not a fit" });
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.performance.state).toEqual("REVIEWED");
+    expect(res.body.flaggedForDiscussion).toBe(true);
+    expect(res.body.performance.flags).toContain("REVIEW_DISAGREEMENT");
+  });
+
+  it("should show the aggregate to organizers only from SCHEDULING", async () => {
+    const before = await request(app)
+      .get(`/performances/${performanceId}/reviews`)
+      .set("Authorization", `Bearer ${organizerToken}`);
+    expect(before.body.aggregate).toBeUndefined();
+
+    await mongoose.model("Festival").updateOne({ _id: festivalId }, { state: "SCHEDULING" });
+
+    const res = await request(app)
+      .get(`/performances/${performanceId}/reviews`)
+      .set("Authorization", `Bearer ${organizerToken}`);
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.aggregate).toEqual({ count: 2, mean: 5.5, median: 5.5, spread: 7 });
+  });
+
+  it("should migrate single-reviewer reviews into reviews", async () => {
+    const Performance = mongoose.model("Performance");
+    const { insertedId } = await Performance.collection.insertOne({
+      festival: new mongoose.Types.ObjectId(festivalId),
+      creator: reviewers[1]._id,
+      name: "Legacy Review",
+      state: "REVIEWED",
+      staffAssigned: reviewers[0]._id,
+      review: { score: 3, comments: "Too quiet" },
+    });
+
+    await mongoose.model("Migration").deleteOne({ _id: "reviews-from-staff-assigned" });
+    await app.locals.runMigrations();
+
+    const review = await mongoose.model("Review").findOne({ performance: insertedId });
+    expect(review.reviewer.toString()).toEqual(reviewers[0]._id.toString());
+    expect(review.status).toEqual("SUBMITTED");
+    expect(review.score).toEqual(3);
+  });
+});
+
+describe("Automatic Reviewer Assignment", () => {
+  let organizerToken;
+  let festivalId;
+
+  beforeAll(async () => {
+    await createUser("organizerA", { role: "ORGANIZER" });
+    await createUser("bandleader", { role: "ARTIST" });
+    await createUser("reviewerOne", { role: "STAFF" });
+    await createUser("reviewerTwo", { role: "STAFF" });
+    organizerToken = await login("organizerA");
+    const leaderToken = await login("bandleader");
+
+    festivalId = (await createFestival(organizerToken, { name: "Assign Fest" }))._id;
+    for (const username of ["reviewerOne", "reviewerTwo"]) {
+      await request(app)
+        .post(`/festivals/${festivalId}/members`)
+        .set("Authorization", `Bearer ${organizerToken}`)
+        .send({ username, role: "STAFF" });
+    }
+    // Staff keep their genres of expertise on their own account
+    const reviewerOne = await mongoose.model("User").findOne({ username: "reviewerOne" });
+    await request(app)
+      .put(`/users/${reviewerOne._id}`)
+      .set("Authorization", `Bearer ${await login("reviewerOne")}`)
+      .send({ genreExpertise: ["Blues", " blues "] });
+
+    // reviewerTwo plays in the pop act and cannot review it
+    for (const [name, genre, bandMembers] of [
+      ["Blues Night", "Blues", []],
+      ["Pop Hour", "Pop", ["reviewerTwo"]],
+    ]) {
+      await request(app)
+        .post("/performances")
+        .set("Authorization", `Bearer ${leaderToken}`)
+        .send({ festival: festivalId, name, genre, duration: 30, bandMembers });
+    }
+    await mongoose
+      .model("Performance")
+      .updateMany({ festival: festivalId }, { state: "SUBMITTED" });
+    await mongoose
+      .model("Festival")
+      .updateOne({ _id: festivalId }, { state: "ASSIGNMENT" });
+  });
+
+  it("should preview a plan without assigning anyone", async () => {
+    const res = await request(app)
+      .post(`/festivals/${festivalId}/auto-assign`)
+      .set("Authorization", `Bearer ${organizerToken}`)
+      .send({ dryRun: true });
+
+    expect(res.statusCode).toEqual(200);
+    const popHour = res.body.assignments.find(
+      (assignment) => assignment.performance.name === "Pop Hour"
+    );
+    expect(popHour.reviewers.map((reviewer) => reviewer.username)).toEqual(["reviewerOne"]);
+    expect(await mongoose.model("Review").countDocuments({ festival: festivalId })).toEqual(0);
+  });
+
+  it("should spread the load before preferring genre experts", async () => {
+    const reviewerOne = await mongoose.model("User").findOne({ username: "reviewerOne" });
+    expect(reviewerOne.genreExpertise).toEqual(["Blues"]);
+
+    const res = await request(app)
+      .post(`/festivals/${festivalId}/auto-assign`)
+      .set("Authorization", `Bearer ${organizerToken}`)
+      .send({ dryRun: "true" });
+
+    expect(res.statusCode).toEqual(200);
+    const usernames = res.body.assignments.map((assignment) =>
+      assignment.reviewers.map((reviewer) => reviewer.username)
+    );
+    expect(usernames.flat().sort()).toEqual(["reviewerOne", "reviewerTwo"]);
+  });
+
+  it("should reject a dryRun that is not a boolean", async () => {
+    const res = await request(app)
+      .post(`/festivals/${festivalId}/auto-assign`)
+      .set("Authorization", `Bearer ${organizerToken}`)
+      .send({ dryRun: "maybe" });
+
+    expect(res.statusCode).toEqual(400);
+  });
+
+  it("should reject an empty override", async () => {
+    const performance = await mongoose
+      .model("Performance")
+      .findOne({ festival: festivalId, name: "Blues Night" });
+
+    const res = await request(app)
+      .post(`/festivals/${festivalId}/auto-assign`)
+      .set("Authorization", `Bearer ${organizerToken}`)
+      .send({ dryRun: true, overrides: { [performance._id]: [] } });
+
+    expect(res.statusCode).toEqual(400);
+  });
+
+  it("should fill up overridden performances and report the shortfall", async () => {
+    const Festival = mongoose.model("Festival");
+    const performance = await mongoose
+      .model("Performance")
+      .findOne({ festival: festivalId, name: "Pop Hour" });
+    const reviewerOne = await mongoose.model("User").findOne({ username: "reviewerOne" });
+    await Festival.updateOne({ _id: festivalId }, { requiredReviews: 2 });
+
+    const res = await request(app)
+      .post(`/festivals/${festivalId}/auto-assign`)
+      .set("Authorization", `Bearer ${organizerToken}`)
+      .send({ dryRun: true, overrides: { [performance._id]: [reviewerOne._id] } });
+    await Festival.updateOne({ _id: festivalId }, { requiredReviews: 1 });
+
+    // reviewerTwo plays in Pop Hour, so nobody is left for the second review
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.unassigned).toEqual([
+      {
+        performance: { _id: performance._id.toString(), name: "Pop Hour" },
+        missing: 1,
+        reason: "Not enough eligible staff.",
+      },
+    ]);
+  });
+
+  it("should apply overrides and assign the rest", async () => {
+    const performance = await mongoose
+      .model("Performance")
+      .findOne({ festival: festivalId, name: "Blues Night" });
+    const reviewerTwo = await mongoose.model("User").findOne({ username: "reviewerTwo" });
+
+    const res = await request(app)
+      .post(`/festivals/${festivalId}/auto-assign`)
+      .set("Authorization", `Bearer ${organizerToken}`)
+      .send({ overrides: { [performance._id]: [reviewerTwo._id] } });
+
+    expect(res.statusCode).toEqual(201);
+    expect(res.body.unassigned).toEqual([]);
+    const review = await mongoose
+      .model("Review")
+      .findOne({ performance: performance._id });
+    expect(review.reviewer.toString()).toEqual(reviewerTwo._id.toString());
+  });
+});